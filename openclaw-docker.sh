@@ -658,17 +658,8 @@ _load_and_tag_image() {
     return 1
 }
 
-# 确保加密主密钥存在（用于加密保存 API Key）
+# 加密主密钥由面板首次启动时生成（vault/keyring.json）；旧版 .enc_key 只用于读取升级前的密文，轮换主密钥后由面板删除
 ensure_encryption_key() {
-    local existing_key
-    existing_key="$(read_state_file ".enc_key" | head -1 | tr -d '\r')"
-    if [ -z "$existing_key" ]; then
-        info "生成随机加密主密钥..."
-        LC_ALL=C tr -dc 'A-Za-z0-9!#%^&*+=' </dev/urandom | head -c 32 | write_state_file ".enc_key" 400
-        success "加密主密钥已生成并设置 400 权限: $MASTER_KEY_FILE"
-        return 0
-    fi
-
     run_state_helper "test -f '$MASTER_KEY_FILE' && chmod 400 '$MASTER_KEY_FILE' || true" >/dev/null
 }
 
@@ -1551,9 +1542,18 @@ _do_hotpatch() {
         return 1
     fi
 
+    # 面板 API 需要令牌：优先用 OC_API_TOKEN，否则在容器内为管理员签发一个 15 分钟的短期令牌
+    # （旧版镜像没有签发脚本，其面板仍接受容器内的本地调用）
+    local api_token="${OC_API_TOKEN:-}"
+    if [ -z "$api_token" ]; then
+        api_token=$(docker exec "$CONTAINER_NAME" node /opt/clawnook/scripts/openclaw-api-token.js --scope openclaw:install,status:read --minutes 15 --name hotpatch 2>/dev/null || true)
+    fi
+    local auth_args=()
+    [ -n "$api_token" ] && auth_args=(-H "Authorization: Bearer $api_token")
+
     # 触发 hotpatch
     local result
-    result=$(docker exec "$CONTAINER_NAME" curl -sS --connect-timeout 3 --max-time 10 -X POST http://127.0.0.1:3000/api/update/hotpatch -H "Content-Type: application/json" -d '{"branch":"main"}' 2>/dev/null || true)
+    result=$(docker exec "$CONTAINER_NAME" curl -sS --connect-timeout 3 --max-time 10 -X POST http://127.0.0.1:3000/api/update/hotpatch "${auth_args[@]}" -H "Content-Type: application/json" -d '{"branch":"main"}' 2>/dev/null || true)
 
     if [ -z "$result" ]; then
         error "无法连接到 Web 面板 API（请求超时或服务无响应）"
@@ -1561,6 +1561,11 @@ _do_hotpatch() {
         echo -e "  日志: ${CYAN}docker exec ${CONTAINER_NAME} tail -n 120 /root/.openclaw/logs/web-panel.log${NC}"
         return 1
     fi
+    if echo "$result" | grep -q '"error":"\(unauthorized\|Permission denied\|API token scope not allowed\)"'; then
+        error "Web 面板拒绝了热更新请求: $result"
+        echo -e "  可在 系统设置 → API 令牌 创建带 openclaw:install 与 status:read 权限的管理员令牌，然后: ${CYAN}OC_API_TOKEN=ocp_... $0 hotpatch${NC}"
+        return 1
+    fi
 
     info "热更新已触发，等待完成..."
 
@@ -1586,7 +1591,7 @@ _do_hotpatch() {
             fi
         fi
         local status_json
-        status_json=$(docker exec "$CONTAINER_NAME" curl -sS -f --connect-timeout 3 --max-time 8 http://127.0.0.1:3000/api/update/hotpatch/status 2>/dev/null || true)
+        status_json=$(docker exec "$CONTAINER_NAME" curl -sS -f --connect-timeout 3 --max-time 8 "${auth_args[@]}" http://127.0.0.1:3000/api/update/hotpatch/status 2>/dev/null || true)
         if [ -z "$status_json" ]; then
             fail_count=$((fail_count + 1))
             if ($was_running || $post_ok) && [ "$fail_count" -ge 5 ]; then
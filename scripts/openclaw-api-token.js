@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// openclaw-api-token — Mint a short-lived panel API token from inside the container
+// Host-side maintenance (openclaw-docker.sh / update-windows.ps1 hot updates) uses this instead of
+// relying on unauthenticated localhost access. The token belongs to an admin account, carries only
+// the requested scopes and is pruned by the next run once it has expired.
+// Usage: node /opt/clawnook/scripts/openclaw-api-token.js --scope openclaw:install,status:read [--minutes 15] [--name hotpatch]
+//   or:  docker exec openclaw-pro node /opt/clawnook/scripts/openclaw-api-token.js --scope openclaw:install
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = '/root/.openclaw/docker-config.json';
+// Mirrors WEB_API_TOKEN_SCOPES in web/server.js
+const KNOWN_SCOPES = ['status:read', 'logs:read', 'config:write', 'openclaw:install', 'ai:keys:write', 'ai:chat', 'terminal', 'admin'];
+const MAX_MINUTES = 24 * 60;
+
+function readConfig() {
+  try { return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')); }
+  catch { return {}; }
+}
+
+function writeConfig(cfg) {
+  fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+  const tmp = `${CONFIG_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cfg, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, CONFIG_PATH);
+}
+
+function parseArgs(argv) {
+  const opts = { scopes: [], minutes: 15, name: 'local maintenance' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--scope') opts.scopes.push(...String(argv[++i] || '').split(',').map((s) => s.trim()).filter(Boolean));
+    else if (arg === '--minutes') opts.minutes = Number(argv[++i]);
+    else if (arg === '--name') opts.name = String(argv[++i] || '').trim();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!opts.scopes.length) throw new Error('At least one --scope is required');
+  const unknown = opts.scopes.find((s) => !KNOWN_SCOPES.includes(s));
+  if (unknown) throw new Error(`Unknown scope: ${unknown}`);
+  if (!Number.isInteger(opts.minutes) || opts.minutes < 1 || opts.minutes > MAX_MINUTES) {
+    throw new Error(`--minutes must be an integer between 1 and ${MAX_MINUTES}`);
+  }
+  if (!opts.name || opts.name.length > 64) throw new Error('--name must be 1-64 characters');
+  return opts;
+}
+
+// Same rule as getWebUserRole: legacy configs only had the built-in "admin"
+function pickAdmin(users) {
+  const names = Object.keys(users || {}).filter((name) => {
+    const user = users[name];
+    if (!user || user.disabled) return false;
+    return user.role ? user.role === 'admin' : name === 'admin';
+  });
+  return names.includes('admin') ? 'admin' : names.sort()[0];
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cfg = readConfig();
+  const username = pickAdmin(cfg.webAuth?.users);
+  if (!username) throw new Error('No enabled admin account; finish panel setup first');
+
+  const now = Date.now();
+  const tokens = (Array.isArray(cfg.webAuth.apiTokens) ? cfg.webAuth.apiTokens : [])
+    .filter((t) => !(t && t.local && t.expiresAt && t.expiresAt <= now));
+  const id = crypto.randomBytes(6).toString('hex');
+  const token = `ocp_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  tokens.push({
+    id,
+    name: opts.name,
+    username,
+    scopes: [...new Set(opts.scopes)],
+    hash: crypto.createHash('sha256').update(token).digest('hex'),
+    createdAt: now,
+    expiresAt: now + opts.minutes * 60 * 1000,
+    lastUsedAt: null,
+    local: true
+  });
+  cfg.webAuth.apiTokens = tokens;
+  writeConfig(cfg);
+  process.stdout.write(`${token}\n`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
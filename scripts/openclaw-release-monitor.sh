@@ -21,6 +21,7 @@ Env:
   SSH_PORT        default: 2223
   STATE_FILE      default: ./.release-monitor-state.json
   INTERVAL_SEC    default: 300
+  OC_API_TOKEN    panel API token for the remote host (scopes: status:read, openclaw:install)
 EOF
 }
 
@@ -80,9 +81,9 @@ run_remote_update_test() {
   local remote_run_cmd
 
   if [[ "$SSH_HOST" == root@* ]] || [[ "$SSH_HOST" == "root" ]]; then
-    remote_run_cmd="chmod +x $remote_script && OPENCLAW_REPO='$OPENCLAW_REPO' TARGET_TAG='$tag' bash $remote_script"
+    remote_run_cmd="chmod +x $remote_script && OPENCLAW_REPO='$OPENCLAW_REPO' TARGET_TAG='$tag' OC_API_TOKEN='${OC_API_TOKEN:-}' bash $remote_script"
   else
-    remote_run_cmd="chmod +x $remote_script && sudo -n OPENCLAW_REPO='$OPENCLAW_REPO' TARGET_TAG='$tag' bash $remote_script"
+    remote_run_cmd="chmod +x $remote_script && sudo -n OPENCLAW_REPO='$OPENCLAW_REPO' TARGET_TAG='$tag' OC_API_TOKEN='${OC_API_TOKEN:-}' bash $remote_script"
   fi
 
   log "upload remote script to $SSH_HOST:$remote_script"
@@ -0,0 +1,112 @@
+// openclaw-vault-loader — Let OpenClaw read the gateway stores the panel's secret vault keeps sealed
+// Preloaded into every node process in the container (NODE_OPTIONS=--require, see start-services.sh).
+// openclaw.json, models.json and auth-profiles.json hold ENC2: values on disk; reading one of them
+// through fs returns the JSON with those values opened, so the gateway, the openclaw CLI and
+// config-fixer.mjs see the plaintext they expect. Writes are left alone: the panel reseals whatever
+// plaintext lands in these files.
+// Keys come from vault/keyring.json (file mode) and from what the panel publishes to /dev/shm while
+// the vault is unlocked (passphrase mode, and both keys while a rotation swaps the files).
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const LOADER = Symbol.for('openclaw.vaultLoader');
+// Mirror VAULT_KEYRING_PATH and VAULT_PUBLISHED_KEYS_PATH in web/server.js
+const KEYRING_PATH = '/root/.openclaw/vault/keyring.json';
+const PUBLISHED_KEYS_PATH = '/dev/shm/openclaw-vault-keys.json';
+const STORE_FILE_RE = /^(openclaw|models|auth-profiles)\.json$/;
+
+const raw = {
+  readFileSync: fs.readFileSync,
+  readFile: fs.readFile,
+  readFilePromise: fs.promises.readFile
+};
+
+function readRawJson(file) {
+  try { return JSON.parse(raw.readFileSync(file, 'utf8')); }
+  catch { return null; }
+}
+
+function loadKeys() {
+  const keys = [];
+  const keyring = readRawJson(KEYRING_PATH);
+  if (keyring?.mode === 'file' && keyring.key) keys.push({ id: keyring.keyId, key: Buffer.from(keyring.key, 'base64') });
+  for (const k of readRawJson(PUBLISHED_KEYS_PATH)?.keys || []) keys.push({ id: k.id, key: Buffer.from(k.key, 'base64') });
+  return keys;
+}
+
+// Same format as sealSecret in web/server.js: ENC2:<keyId>:<iv>:<tag>:<data>, AES-256-GCM
+function openValue(value, keys) {
+  const [, id, iv, tag, data] = value.split(':');
+  const vk = keys.find((k) => k.id === id);
+  if (!vk || !data) return value;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', vk.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    return value;
+  }
+}
+
+function openNode(node, keys) {
+  if (typeof node === 'string') return node.startsWith('ENC2:') ? openValue(node, keys) : node;
+  if (Array.isArray(node)) return node.map((v) => openNode(v, keys));
+  if (node && typeof node === 'object') {
+    for (const k of Object.keys(node)) node[k] = openNode(node[k], keys);
+  }
+  return node;
+}
+
+function isStoreFile(file) {
+  try {
+    const p = file instanceof URL ? fileURLToPath(file) : file;
+    return typeof p === 'string' && STORE_FILE_RE.test(path.basename(p));
+  } catch {
+    return false;
+  }
+}
+
+// Hands back the same type it got: a string when an encoding was asked for, a Buffer otherwise
+function openContent(content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+  if (typeof text !== 'string' || !text.includes('"ENC2:')) return content;
+  let data;
+  try { data = JSON.parse(text.replace(/^\uFEFF/, '')); } catch { return content; }
+  const keys = loadKeys();
+  if (!keys.length) return content;
+  const opened = JSON.stringify(openNode(data, keys), null, 2);
+  return Buffer.isBuffer(content) ? Buffer.from(opened, 'utf8') : opened;
+}
+
+function install() {
+  fs.readFileSync = function readFileSync(file, ...args) {
+    const content = raw.readFileSync.call(this, file, ...args);
+    return isStoreFile(file) ? openContent(content) : content;
+  };
+  fs.readFile = function readFile(file, ...args) {
+    const cb = args[args.length - 1];
+    if (!isStoreFile(file) || typeof cb !== 'function') return raw.readFile.call(this, file, ...args);
+    return raw.readFile.call(this, file, ...args.slice(0, -1), (err, content) => cb(err, err ? content : openContent(content)));
+  };
+  fs.promises.readFile = async function readFile(file, ...args) {
+    const content = await raw.readFilePromise.call(this, file, ...args);
+    return isStoreFile(file) ? openContent(content) : content;
+  };
+  // ESM `import { readFileSync } from 'node:fs'` bindings only follow after a sync
+  require('module').syncBuiltinESMExports();
+  // The panel needs the files as stored to seal, rotate and inventory them
+  globalThis[LOADER] = { readFileSync: raw.readFileSync };
+}
+
+if (!globalThis[LOADER]) {
+  try {
+    install();
+  } catch (e) {
+    console.error(`[vault-loader] not installed: ${e.message}`);
+  }
+}
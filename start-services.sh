@@ -185,6 +185,19 @@ enable_node_env_proxy_if_configured() {
 }
 enable_node_env_proxy_if_configured
 
+# 密钥保险库：Gateway、openclaw CLI 和面板都经 loader 读取已加密的 openclaw.json / models.json / auth-profiles.json
+enable_vault_loader() {
+    local loader="/opt/clawnook/scripts/openclaw-vault-loader.js"
+    [ -f "$loader" ] || return 0
+    case " ${NODE_OPTIONS:-} " in
+        *" --require $loader "*) ;;
+        *)
+            export NODE_OPTIONS="--require $loader${NODE_OPTIONS:+ ${NODE_OPTIONS}}"
+            ;;
+    esac
+}
+enable_vault_loader
+
 # 确保 pnpm 在运行时可用（/root 挂载可能覆盖 /root/.npm-global）
 ensure_pnpm_runtime() {
     if command -v pnpm >/dev/null 2>&1; then
@@ -0,0 +1,82 @@
+#!/usr/bin/env bash
+# Provider adapter checks: /api/ai/keys/validate against test/oc_mock_llm_providers.js.
+# Needs a panel API token with the ai:keys:write scope: OC_API_TOKEN=ocp_... bash test/oc_ai_key_validate_check.sh
+set -euo pipefail
+
+API_BASE="${API_BASE:-http://127.0.0.1:3000}"
+MOCK_PORT="${MOCK_LLM_PORT:-3902}"
+MOCK="http://127.0.0.1:$MOCK_PORT"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TMP_DIR="$SCRIPT_DIR/.tmp"
+mkdir -p "$TMP_DIR"
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the ai:keys:write scope (系统设置 → API 令牌)}"
+
+log() { echo "[$(date '+%F %T')] $*"; }
+fail() { log "ERROR: $*"; exit 1; }
+
+MOCK_LLM_PORT="$MOCK_PORT" node "$SCRIPT_DIR/oc_mock_llm_providers.js" >"$TMP_DIR/mock-llm.log" 2>&1 &
+MOCK_PID=$!
+trap 'kill "$MOCK_PID" 2>/dev/null || true' EXIT
+for _ in $(seq 1 20); do
+  curl -fsS "$MOCK/ollama/api/tags" >/dev/null 2>&1 && break
+  sleep 0.5
+done
+
+failures=0
+# expect <provider> <baseUrl> <apiKey> <model or -> <expected result> <expected valid>
+expect() {
+  local provider="$1" base="$2" key="$3" model="$4" want="$5" want_valid="$6"
+  local body out got valid
+  body="$(jq -nc --arg p "$provider" --arg b "$base" --arg k "$key" --arg m "$model" \
+    '{provider: $p, baseUrl: $b, apiKey: $k} + (if $m == "-" then {} else {model: $m} end)')"
+  out="$(curl -fsS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/json' \
+    -X POST "$API_BASE/api/ai/keys/validate" -d "$body")"
+  got="$(echo "$out" | jq -r '.result')"
+  valid="$(echo "$out" | jq -r '.valid')"
+  if [ "$got" = "$want" ] && [ "$valid" = "$want_valid" ]; then
+    log "ok   $provider key=$key model=$model -> $got"
+  else
+    log "FAIL $provider key=$key model=$model -> $out (want $want / valid=$want_valid)"
+    failures=$((failures + 1))
+  fi
+}
+
+log "OpenAI-compatible adapter"
+expect openai "$MOCK/openai/v1" good - ok true
+expect openai "$MOCK/openai/v1" bad - invalid_key false
+expect openai "$MOCK/openai/v1" broke - no_quota false
+expect openai "$MOCK/openai/v1" geo - region_blocked false
+expect openai "$MOCK/openai/v1" busy - rate_limited true
+expect openai "$MOCK/openai/v1" nolist gpt-test ok true
+expect openai "$MOCK/openai/v1" nolist missing model_not_found null
+
+log "OpenRouter: model list does not prove the key"
+expect openrouter "$MOCK/openrouter/v1" bad openrouter-test invalid_key false
+expect openrouter "$MOCK/openrouter/v1" good openrouter-test ok true
+
+log "Anthropic adapter"
+expect anthropic "$MOCK/anthropic" good - ok true
+expect anthropic "$MOCK/anthropic/v1" good - ok true
+expect anthropic "$MOCK/anthropic" bad - invalid_key false
+expect anthropic "$MOCK/anthropic" broke - no_quota false
+expect anthropic "$MOCK/anthropic" geo - region_blocked false
+expect anthropic "$MOCK/anthropic" busy - rate_limited true
+expect xiaomi "$MOCK/anthropic" good mimo-test ok true
+expect xiaomi "$MOCK/anthropic" good missing model_not_found null
+
+log "Gemini adapter"
+expect gemini "$MOCK/gemini/v1beta" good - ok true
+expect gemini "$MOCK/gemini/v1beta" bad - invalid_key false
+expect gemini "$MOCK/gemini/v1beta" broke - no_quota false
+expect gemini "$MOCK/gemini/v1beta" geo - region_blocked false
+expect gemini "$MOCK/gemini/v1beta" busy - rate_limited true
+expect gemini "$MOCK/gemini/v1beta" nolist missing model_not_found null
+
+log "Ollama adapter"
+expect ollama "$MOCK/ollama" any - ok true
+
+log "Unreachable endpoint"
+expect openai "http://127.0.0.1:9/v1" good - unreachable false
+
+[ "$failures" -eq 0 ] || fail "$failures adapter check(s) failed"
+log "provider adapter check passed"
@@ -1,16 +1,7 @@
 #!/usr/bin/env bash
 set -euo pipefail
-COOKIE=$(node - <<'NODE'
-const fs=require('fs'); const crypto=require('crypto');
-const cfg=JSON.parse(fs.readFileSync('/root/.openclaw/docker-config.json','utf8'));
-const secret=cfg?.webAuth?.secret||'';
-const b64u=(s)=>Buffer.from(s).toString('base64').replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_');
-const payload=b64u(JSON.stringify({u:'admin',exp:Date.now()+2*60*60*1000}));
-const sig=b64u(crypto.createHmac('sha256', secret).update(payload).digest());
-process.stdout.write(`${payload}.${sig}`);
-NODE
-)
-api(){ curl -sS -H "Cookie: oc_session=$COOKIE" "$@"; }
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token (系统设置 → API 令牌)}"
+api(){ curl -sS -H "Authorization: Bearer $TOKEN" "$@"; }
 
 echo '--- trigger update ---'
 resp=$(api -X POST http://127.0.0.1:3000/api/openclaw/update)
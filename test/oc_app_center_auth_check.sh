@@ -0,0 +1,30 @@
+#!/usr/bin/env bash
+# App center routes need a panel login even from localhost (Caddy proxies from 127.0.0.1).
+# Run on the panel host: bash test/oc_app_center_auth_check.sh
+set -euo pipefail
+
+API_BASE="${API_BASE:-http://127.0.0.1:3000}"
+
+log() { echo "[$(date '+%F %T')] $*"; }
+fail() { log "ERROR: $*"; exit 1; }
+
+expect_401() {
+  local method="$1" path="$2" body="${3:-}"
+  local code
+  code="$(curl -sS -o /dev/null -w '%{http_code}' -X "$method" -H 'Content-Type: application/json' \
+    ${body:+-d "$body"} "$API_BASE$path")"
+  [ "$code" = "401" ] || fail "$method $path without login: expected 401, got $code"
+  log "$method $path -> 401"
+}
+
+expect_401 GET /api/app-center/list
+expect_401 PUT /api/app-center/ai-access '{"id":"demo","suspended":false}'
+expect_401 POST /api/app-center/ai-key/rotate '{"id":"demo"}'
+expect_401 PUT /api/app-center/git-auth '{"host":"github.com","token":"x"}'
+expect_401 PUT /api/app-center/catalog/settings '{}'
+expect_401 POST /api/app-center/install '{"repo":"https://example.com/a.git"}'
+expect_401 POST /api/app-center/update '{"id":"demo","ref":"v1"}'
+expect_401 GET /api/app-center/update-check
+expect_401 POST /api/app-center/ai/chat '{"messages":[]}'
+
+log "app center auth check passed"
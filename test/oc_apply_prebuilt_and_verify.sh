@@ -30,14 +30,13 @@ for i in $(seq 1 20); do
   sleep 2
 done
 
-SECRET="$(jq -r '.webAuth.secret // empty' /root/.openclaw/docker-config.json)"
-COOKIE="$(node -e "const crypto=require('crypto');const s=process.argv[1]||'';const b=x=>Buffer.from(x).toString('base64').replace(/=/g,'').replace(/\\+/g,'-').replace(/\\//g,'_');const p=b(JSON.stringify({u:'admin',exp:Date.now()+3600*1000}));const g=b(crypto.createHmac('sha256',s).update(p).digest());process.stdout.write(p+'.'+g);" "$SECRET")"
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the admin scope, needed for the gateway link (系统设置 → API 令牌)}"
 
 echo "api_openclaw="
-curl -sS -H "Cookie: oc_session=$COOKIE" http://127.0.0.1:3000/api/openclaw?force=1 | jq -c '{gatewayRunning,gatewayProcessRunning,gatewayHealthCode,operationState,operationProgress}'
+curl -sS -H "Authorization: Bearer $TOKEN" http://127.0.0.1:3000/api/openclaw?force=1 | jq -c '{gatewayRunning,gatewayProcessRunning,gatewayHealthCode,operationState,operationProgress}'
 
 echo "api_gateway_link="
-curl -sS -H "Cookie: oc_session=$COOKIE" http://127.0.0.1:3000/api/openclaw/gateway-link | jq -c '{preferredUrl,directUrl,proxyUrl,authMode,hasToken}'
+curl -sS -H "Authorization: Bearer $TOKEN" http://127.0.0.1:3000/api/openclaw/gateway-link | jq -c '{preferredUrl,directUrl,proxyUrl,authMode,hasToken}'
 
 echo "dep_audit="
 for c in node npm pnpm git curl jq bash; do
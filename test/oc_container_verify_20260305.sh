@@ -51,9 +51,8 @@ for i in $(seq 1 20); do
 done
 
 echo '== phase3: verify /api/openclaw and consistency =='
-SECRET=$(jq -r '.webAuth.secret // empty' /root/.openclaw/docker-config.json 2>/dev/null || true)
-COOKIE=$(node -e "const crypto=require('crypto');const s=process.argv[1]||'';const b=x=>Buffer.from(x).toString('base64').replace(/=/g,'').replace(/\\+/g,'-').replace(/\\//g,'_');const p=b(JSON.stringify({u:'admin',exp:Date.now()+3600*1000}));const g=b(crypto.createHmac('sha256',s).update(p).digest());process.stdout.write(p+'.'+g);" "$SECRET")
-API_JSON=$(curl -sS -H "Cookie: oc_session=$COOKIE" 'http://127.0.0.1:3000/api/openclaw?force=1')
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the admin scope, needed for the gateway link (系统设置 → API 令牌)}"
+API_JSON=$(curl -sS -H "Authorization: Bearer $TOKEN" 'http://127.0.0.1:3000/api/openclaw?force=1')
 echo "$API_JSON" | jq -c '{installed,version,latestVersion,hasUpdate,gatewayRunning,gatewayProcessRunning,gatewayHealthCode,gatewayWatchdogRunning,operationState,operationProgress}'
 API_GATEWAY_RUNNING=$(echo "$API_JSON" | jq -r '.gatewayRunning // false')
 API_HEALTH_CODE=$(echo "$API_JSON" | jq -r '.gatewayHealthCode // 0')
@@ -67,7 +66,7 @@ else
 fi
 
 echo '== phase4: gateway-link endpoint =='
-LINK_JSON=$(curl -sS -H "Cookie: oc_session=$COOKIE" 'http://127.0.0.1:3000/api/openclaw/gateway-link')
+LINK_JSON=$(curl -sS -H "Authorization: Bearer $TOKEN" 'http://127.0.0.1:3000/api/openclaw/gateway-link')
 echo "$LINK_JSON" | jq -c .
 
 echo '== phase5: watchdog tail =='
@@ -15,10 +15,9 @@ if [ ! -f dist/entry.js ] && [ ! -f dist/entry.mjs ]; then
 fi
 echo "== dist ok =="
 ls -la dist | sed -n '1,60p'
-SECRET=$(jq -r '.webAuth.secret // empty' /root/.openclaw/docker-config.json)
-COOKIE=$(node -e 'const crypto=require("crypto");const s=process.argv[1]||"";const b=x=>Buffer.from(x).toString("base64").replace(/=/g,"").replace(/\+/g,"-").replace(/\//g,"_");const p=b(JSON.stringify({u:"admin",exp:Date.now()+3600*1000}));const g=b(crypto.createHmac("sha256",s).update(p).digest());process.stdout.write(p+"."+g);' "$SECRET")
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token (系统设置 → API 令牌)}"
 echo "== restart gateway =="
-curl -sS -H "Cookie: oc_session=$COOKIE" -H 'Content-Type: application/json' -X POST http://127.0.0.1:3000/api/openclaw/start | sed -n '1,2p'
+curl -sS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/json' -X POST http://127.0.0.1:3000/api/openclaw/start | sed -n '1,2p'
 sleep 5
 echo "health=$(curl -sS -o /dev/null -w '%{http_code}' --max-time 5 http://127.0.0.1:18789/health || true)"
 tail -n 18 /root/.openclaw/logs/gateway-watchdog.log
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Mock LLM provider endpoints for exercising the panel's provider adapters locally.
+// One server speaks every protocol, selected by path prefix:
+//
+//   /openai/v1       OpenAI-compatible (Bearer, /models, /chat/completions)
+//   /openrouter/v1   same, but /models answers without checking the key
+//   /anthropic       Anthropic (x-api-key, /v1/models, /v1/messages)
+//   /gemini/v1beta   Gemini (x-goog-api-key, /models, /models/<id>:generateContent)
+//   /ollama          Ollama (/api/tags, /api/chat, no key)
+//   /local/v1        OpenAI-compatible local runtime (LM Studio, vLLM), no key
+//
+// The API key picks the scenario: good, bad, broke (no quota), geo (region blocked),
+// busy (rate limited), nolist (model list missing). The model "missing" does not exist.
+//
+//   MOCK_LLM_PORT=3902 node test/oc_mock_llm_providers.js
+
+'use strict';
+
+const http = require('http');
+const { URL } = require('url');
+
+const PORT = Number(process.env.MOCK_LLM_PORT || 3902);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Each protocol's own wording for the same failures, as the real APIs send them
+const FAILURES = {
+  openai: {
+    bad: [401, { error: { message: 'Incorrect API key provided: bad.', type: 'invalid_request_error', code: 'invalid_api_key' } }],
+    broke: [429, { error: { message: 'You exceeded your current quota, please check your plan and billing details.', type: 'insufficient_quota', code: 'insufficient_quota' } }],
+    geo: [403, { error: { message: 'Country, region, or territory not supported', type: 'request_forbidden', code: 'unsupported_country_region_territory' } }],
+    busy: [429, { error: { message: 'Rate limit reached for requests', type: 'requests', code: 'rate_limit_exceeded' } }],
+    missing: [404, { error: { message: 'The model `missing` does not exist or you do not have access to it.', type: 'invalid_request_error', code: 'model_not_found' } }]
+  },
+  anthropic: {
+    bad: [401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }],
+    broke: [400, { type: 'error', error: { type: 'invalid_request_error', message: 'Your credit balance is too low to access the Anthropic API.' } }],
+    geo: [403, { type: 'error', error: { type: 'forbidden', message: 'Request not allowed' } }],
+    busy: [429, { type: 'error', error: { type: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit' } }],
+    missing: [404, { type: 'error', error: { type: 'not_found_error', message: 'model: missing' } }]
+  },
+  gemini: {
+    bad: [400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] } }],
+    broke: [429, { error: { code: 429, message: 'Quota exceeded. Please check your plan and billing details.', status: 'RESOURCE_EXHAUSTED' } }],
+    geo: [400, { error: { code: 400, message: 'User location is not supported for the API use.', status: 'FAILED_PRECONDITION' } }],
+    busy: [429, { error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED' } }],
+    missing: [404, { error: { code: 404, message: 'models/missing is not found for API version v1beta, or is not supported for generateContent.', status: 'NOT_FOUND' } }]
+  }
+};
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let buf = '';
+    req.on('data', (c) => { buf += c; });
+    req.on('end', () => {
+      try { resolve(JSON.parse(buf || '{}')); } catch { resolve({}); }
+    });
+  });
+}
+
+function handleKeyed(res, protocol, key, { list, model }) {
+  const fail = FAILURES[protocol];
+  if (!['good', 'broke', 'geo', 'busy', 'nolist'].includes(key)) return sendJson(res, ...fail.bad);
+  if (fail[key]) return sendJson(res, ...fail[key]);
+  if (list) {
+    if (key === 'nolist') return sendJson(res, 404, { error: 'not found' });
+    if (protocol === 'gemini') return sendJson(res, 200, { models: [{ name: 'models/gemini-test', displayName: 'Gemini Test' }] });
+    return sendJson(res, 200, { data: [{ id: `${protocol}-test` }] });
+  }
+  if (model === 'missing') return sendJson(res, ...fail.missing);
+  if (protocol === 'anthropic') return sendJson(res, 200, { type: 'message', content: [{ type: 'text', text: 'Hi' }] });
+  if (protocol === 'gemini') return sendJson(res, 200, { candidates: [{ content: { parts: [{ text: 'Hi' }] } }] });
+  return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: 'Hi' } }] });
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://127.0.0.1:${PORT}`);
+  const p = url.pathname;
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  const bearer = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  let m;
+  if ((m = p.match(/^\/(openai|openrouter)\/v1\/(models|chat\/completions)$/))) {
+    // OpenRouter lists models for anyone
+    if (m[1] === 'openrouter' && m[2] === 'models') return sendJson(res, 200, { data: [{ id: 'openrouter-test' }] });
+    return handleKeyed(res, 'openai', bearer, { list: m[2] === 'models', model: body.model });
+  }
+  if ((m = p.match(/^\/anthropic\/v1\/(models|messages)$/))) {
+    if (req.headers['anthropic-version'] !== '2023-06-01') return sendJson(res, 400, { type: 'error', error: { type: 'invalid_request_error', message: 'anthropic-version header is required' } });
+    return handleKeyed(res, 'anthropic', req.headers['x-api-key'], { list: m[1] === 'models', model: body.model });
+  }
+  if ((m = p.match(/^\/gemini\/v1beta\/models(?:\/([^/:]+):generateContent)?$/))) {
+    if (url.searchParams.has('key')) return sendJson(res, 400, { error: { code: 400, message: 'key must be sent as a header in this mock' } });
+    return handleKeyed(res, 'gemini', req.headers['x-goog-api-key'], { list: !m[1], model: m[1] && decodeURIComponent(m[1]) });
+  }
+  if (p === '/ollama/api/tags') return sendJson(res, 200, { models: [{ name: 'llama3:8b', model: 'llama3:8b' }] });
+  if (p === '/ollama/api/chat') {
+    if (body.model !== 'llama3:8b') return sendJson(res, 404, { error: `model '${body.model}' not found` });
+    return sendJson(res, 200, { message: { role: 'assistant', content: 'Hi' }, done: true });
+  }
+  if ((m = p.match(/^\/local\/v1\/(models|chat\/completions)$/))) {
+    if (m[1] === 'models') return sendJson(res, 200, { data: [{ id: 'local-test' }] });
+    if (body.model === 'missing') return sendJson(res, ...FAILURES.openai.missing);
+    return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: 'Hi' } }] });
+  }
+  sendJson(res, 404, { error: 'not_found' });
+}).listen(PORT, '127.0.0.1', () => {
+  console.log(`[mock-llm] listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// Minimal OIDC identity provider for exercising the panel's SSO login locally.
+// Every /authorize request is approved immediately as MOCK_OIDC_USER.
+//
+//   MOCK_OIDC_PORT=3901 MOCK_OIDC_USER=alice MOCK_OIDC_GROUPS=panel-ops node test/oc_mock_oidc_idp.js
+//
+// Panel side: issuer http://127.0.0.1:3901, client id "openclaw-panel", client secret "mock-secret".
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 3901);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://127.0.0.1:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'openclaw-panel';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const USER = process.env.MOCK_OIDC_USER || 'alice';
+const GROUPS = String(process.env.MOCK_OIDC_GROUPS || 'panel-ops').split(',').map((g) => g.trim()).filter(Boolean);
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(4).toString('hex');
+const codes = new Map();
+
+const b64u = (v) => Buffer.from(typeof v === 'string' ? v : JSON.stringify(v)).toString('base64url');
+
+function signIdToken(claims) {
+  const input = `${b64u({ alg: 'RS256', typ: 'JWT', kid: KID })}.${b64u(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let buf = '';
+    req.on('data', (c) => { buf += c; });
+    req.on('end', () => resolve(new URLSearchParams(buf)));
+  });
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  }
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+  }
+  if (url.pathname === '/authorize') {
+    const q = url.searchParams;
+    if (q.get('client_id') !== CLIENT_ID) return sendJson(res, 400, { error: 'unauthorized_client' });
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { nonce: q.get('nonce'), challenge: q.get('code_challenge'), redirectUri: q.get('redirect_uri') });
+    const back = new URL(q.get('redirect_uri'));
+    back.searchParams.set('code', code);
+    back.searchParams.set('state', q.get('state') || '');
+    res.writeHead(302, { Location: back.toString() });
+    return res.end();
+  }
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const form = await readForm(req);
+    const item = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (!item) return sendJson(res, 400, { error: 'invalid_grant' });
+    if (form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET) return sendJson(res, 401, { error: 'invalid_client' });
+    if (form.get('redirect_uri') !== item.redirectUri) return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    const verifier = form.get('code_verifier') || '';
+    if (crypto.createHash('sha256').update(verifier).digest('base64url') !== item.challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    const now = Math.floor(Date.now() / 1000);
+    return sendJson(res, 200, {
+      token_type: 'Bearer',
+      access_token: `mock-${crypto.randomBytes(8).toString('hex')}`,
+      expires_in: 300,
+      id_token: signIdToken({
+        iss: ISSUER, aud: CLIENT_ID, sub: `sub-${USER}`, iat: now, exp: now + 300, nonce: item.nonce,
+        preferred_username: USER, email: `${USER}@example.com`, groups: GROUPS
+      })
+    });
+  }
+  if (url.pathname === '/userinfo') {
+    return sendJson(res, 200, { sub: `sub-${USER}`, preferred_username: USER, groups: GROUPS });
+  }
+  sendJson(res, 404, { error: 'not_found' });
+}).listen(PORT, '127.0.0.1', () => {
+  console.log(`[mock-oidc] issuer=${ISSUER} user=${USER} groups=${GROUPS.join(',')}`);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env bash
+# Model health prober checks: /api/ai/health against test/oc_mock_llm_providers.js.
+# Adds a temporary provider to models.json, so run it on the panel host:
+#   OC_API_TOKEN=ocp_... bash test/oc_model_health_check.sh   (token needs the status:read and config:write scopes)
+set -euo pipefail
+
+API_BASE="${API_BASE:-http://127.0.0.1:3000}"
+MOCK_PORT="${MOCK_LLM_PORT:-3902}"
+MOCK="http://127.0.0.1:$MOCK_PORT"
+MODELS_JSON="${OC_MODELS_JSON:-/root/.openclaw/agents/main/agent/models.json}"
+HEALTH_JSON="${OC_MODEL_HEALTH_JSON:-/root/.openclaw/model-health.json}"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TMP_DIR="$SCRIPT_DIR/.tmp"
+mkdir -p "$TMP_DIR"
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the status:read and config:write scopes (系统设置 → API 令牌)}"
+PROVIDER="mock-health"
+MODEL="$PROVIDER/gpt-test"
+
+log() { echo "[$(date '+%F %T')] $*"; }
+fail() { log "ERROR: $*"; exit 1; }
+api() { curl -fsS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/json' "$@"; }
+
+[ -f "$MODELS_JSON" ] && cp "$MODELS_JSON" "$TMP_DIR/models.json.bak"
+cleanup() {
+  kill "$MOCK_PID" 2>/dev/null || true
+  if [ -f "$TMP_DIR/models.json.bak" ]; then mv "$TMP_DIR/models.json.bak" "$MODELS_JSON"; else rm -f "$MODELS_JSON"; fi
+}
+MOCK_LLM_PORT="$MOCK_PORT" node "$SCRIPT_DIR/oc_mock_llm_providers.js" >"$TMP_DIR/mock-llm.log" 2>&1 &
+MOCK_PID=$!
+trap cleanup EXIT
+for _ in $(seq 1 20); do
+  curl -fsS "$MOCK/ollama/api/tags" >/dev/null 2>&1 && break
+  sleep 0.5
+done
+
+# The mock picks the scenario from the API key, so switching keys flips the model's health
+use_key() {
+  mkdir -p "$(dirname "$MODELS_JSON")"
+  { cat "$TMP_DIR/models.json.bak" 2>/dev/null || echo '{}'; } | jq --arg p "$PROVIDER" --arg b "$MOCK/openai/v1" --arg k "$1" \
+    '.providers[$p] = {baseUrl: $b, apiKey: $k, api: "openai-completions", models: [{id: "gpt-test", name: "GPT Test"}]}' \
+    >"$MODELS_JSON"
+}
+
+# probe <apiKey> <expected status> <expected ok> <expected errorClass or ->
+probe() {
+  local key="$1" want="$2" want_ok="$3" want_class="$4" out
+  use_key "$key"
+  out="$(api -X POST "$API_BASE/api/ai/health/probe" -d "$(jq -nc --arg m "$MODEL" '{model: $m}')")"
+  [ "$(echo "$out" | jq -r '.status')" = "$want" ] || fail "key=$key: expected $want, got $out"
+  [ "$(echo "$out" | jq -r '.result.ok')" = "$want_ok" ] || fail "key=$key: expected ok=$want_ok, got $out"
+  [ "$(echo "$out" | jq -r '.result.errorClass // "-"')" = "$want_class" ] || fail "key=$key: expected errorClass $want_class, got $out"
+  log "ok   key=$key -> $want$([ "$want_class" = "-" ] || echo " ($want_class)")"
+}
+
+log "healthy -> degraded -> failing -> degraded"
+probe good healthy true -
+probe bad degraded false invalid_key
+probe busy failing false rate_limited
+probe good degraded true -
+
+log "stored history"
+out="$(api "$API_BASE/api/ai/health")"
+row="$(echo "$out" | jq -c --arg m "$MODEL" '.models[] | select(.model == $m)')"
+[ -n "$row" ] || fail "$MODEL missing from /api/ai/health: $out"
+[ "$(echo "$row" | jq -r '.status')" = "degraded" ] || fail "listed status: $row"
+tail4="$(echo "$row" | jq -c '[.history[-4:][] | [.ok, .status]]')"
+[ "$tail4" = '[[true,200],[false,401],[false,429],[true,200]]' ] || fail "history tail: $tail4"
+[ "$(echo "$row" | jq -r '.last.ok')" = "true" ] || fail "last probe: $row"
+if [ -f "$HEALTH_JSON" ]; then
+  saved="$(jq -c --arg m "$MODEL" '[.models[$m][-4:][] | [.ok, .status]]' "$HEALTH_JSON")"
+  [ "$saved" = "$tail4" ] || fail "history on disk differs: $saved"
+  log "history persisted to $HEALTH_JSON"
+fi
+
+log "model health check passed"
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Provider adapter checks without a running panel: loads the adapter section of web/server.js
+// (PROVIDER_ADAPTERS, PROVIDER_ADAPTER_MAP, classifyProviderHttpError, ...) and drives every
+// mapped provider against test/oc_mock_llm_providers.js, plus a table of error classifications.
+//
+//   node test/oc_provider_adapter_check.js        (MOCK_LLM_PORT=3902 by default)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+
+const PORT = Number(process.env.MOCK_LLM_PORT || 3902);
+const MOCK = `http://127.0.0.1:${PORT}`;
+const SERVER_JS = path.join(__dirname, '..', 'web', 'server.js');
+
+// Mock endpoint and a model id per provider; keyless ones are called without a key
+const TARGETS = {
+  openai: { base: '/openai/v1', model: 'gpt-test' },
+  anthropic: { base: '/anthropic', model: 'claude-test' },
+  openrouter: { base: '/openrouter/v1', model: 'openrouter-test' },
+  xiaomi: { base: '/anthropic', model: 'mimo-test' },
+  // Trailing slash as in the real https://api.kimi.com/coding/
+  'kimi-coding': { base: '/anthropic/', model: 'k2p5' },
+  minimax: { base: '/openai/v1', model: 'MiniMax-M2' },
+  gemini: { base: '/gemini/v1beta', model: 'gemini-test' },
+  ollama: { base: '/ollama', model: 'llama3:8b' },
+  lmstudio: { base: '/local/v1', model: 'local-test' },
+  vllm: { base: '/local/v1', model: 'local-test' }
+};
+
+// Key -> error class the mock's failure for that key must map onto
+const KEY_FAILURES = { bad: 'invalid_key', broke: 'no_quota', geo: 'region_blocked', busy: 'rate_limited' };
+
+// [adapter, status, body, phase, expected]
+const CLASSIFY_CASES = [
+  ['openai-compatible', 401, '', 'completion', 'invalid_key'],
+  ['openai-compatible', 402, '', 'completion', 'no_quota'],
+  ['openai-compatible', 451, '', 'completion', 'region_blocked'],
+  ['openai-compatible', 403, '{"error":{"code":"unsupported_country_region_territory"}}', 'completion', 'region_blocked'],
+  ['openai-compatible', 403, '{"error":{"message":"Invalid API key"}}', 'completion', 'invalid_key'],
+  ['openai-compatible', 403, '{"error":{"message":"Forbidden"}}', 'completion', 'forbidden'],
+  ['openai-compatible', 429, '{"error":{"code":"insufficient_quota"}}', 'completion', 'no_quota'],
+  ['openai-compatible', 429, '{"error":{"message":"Too many requests"}}', 'completion', 'rate_limited'],
+  ['openai-compatible', 404, '', 'list', 'no_list_endpoint'],
+  ['openai-compatible', 405, '', 'completion', 'model_not_found'],
+  ['openai-compatible', 400, '{"error":{"message":"Incorrect API key provided"}}', 'completion', 'invalid_key'],
+  ['openai-compatible', 400, '{"error":{"message":"Your credit balance is too low"}}', 'completion', 'no_quota'],
+  ['openai-compatible', 422, '{"error":{"message":"The model foo does not exist"}}', 'completion', 'model_not_found'],
+  ['openai-compatible', 400, '{"error":{"message":"max_tokens is too large"}}', 'completion', 'bad_request'],
+  ['openai-compatible', 503, '', 'completion', 'server_error'],
+  ['openai-compatible', 418, '', 'completion', 'http_error'],
+  ['anthropic', 400, '{"type":"error","error":{"message":"Your credit balance is too low to access the Anthropic API."}}', 'completion', 'no_quota'],
+  ['gemini', 400, '{"error":{"details":[{"reason":"API_KEY_INVALID"}]}}', 'completion', 'invalid_key'],
+  ['gemini', 400, '{"error":{"message":"User location is not supported for the API use."}}', 'completion', 'region_blocked']
+];
+
+let failures = 0;
+function log(msg) { console.log(`[${new Date().toISOString().replace('T', ' ').slice(0, 19)}] ${msg}`); }
+function expect(label, got, want) {
+  if (got === want) {
+    log(`ok   ${label} -> ${got}`);
+  } else {
+    log(`FAIL ${label} -> ${got} (want ${want})`);
+    failures++;
+  }
+}
+
+// Everything from the error vocabulary up to testModelAvailability is plain functions and tables
+function loadAdapters() {
+  const src = fs.readFileSync(SERVER_JS, 'utf8');
+  const start = src.indexOf('const PROVIDER_ERROR_PATTERNS = {');
+  const end = src.indexOf('/**\n * Test if model is actually available');
+  if (start < 0 || end < start) throw new Error('provider adapter section not found in web/server.js');
+  const exports = '\n;({ PROVIDER_ADAPTERS, PROVIDER_ADAPTER_MAP, getProviderAdapter, classifyProviderHttpError, classifyProviderNetworkError });';
+  return vm.runInNewContext(src.slice(start, end) + exports, {}, { filename: SERVER_JS });
+}
+
+async function call(adapter, url, key, body) {
+  const res = await fetch(url, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json', ...adapter.headers(key) },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(5000)
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+// Same reduction testModelAvailability and key validation apply to a response
+function outcome(lib, adapter, r, phase) {
+  return r.status >= 200 && r.status < 300 ? 'ok' : lib.classifyProviderHttpError(adapter, r.status, r.text, phase);
+}
+
+async function checkProvider(lib, provider) {
+  const target = TARGETS[provider];
+  const adapter = lib.getProviderAdapter(provider);
+  const endpoint = `${MOCK}${target.base}`.replace(/\/+$/, '');
+  const complete = (key, model = target.model) => {
+    const { url, body } = adapter.completion(endpoint, model);
+    return call(adapter, url, key, body);
+  };
+  log(`${provider} (${adapter.name}${adapter.keyless ? ', keyless' : ''})`);
+
+  if (adapter.keyless) {
+    expect(`${provider} sends no auth header without a key`, JSON.stringify(adapter.headers('')), '{}');
+    expect(`${provider} completion`, outcome(lib, adapter, await complete(''), 'completion'), 'ok');
+    expect(`${provider} completion model=missing`, outcome(lib, adapter, await complete('', 'missing'), 'completion'), 'model_not_found');
+  } else {
+    expect(`${provider} completion key=good`, outcome(lib, adapter, await complete('good'), 'completion'), 'ok');
+    for (const [key, want] of Object.entries(KEY_FAILURES)) {
+      expect(`${provider} completion key=${key}`, outcome(lib, adapter, await complete(key), 'completion'), want);
+    }
+    expect(`${provider} completion model=missing`, outcome(lib, adapter, await complete('good', 'missing'), 'completion'), 'model_not_found');
+  }
+
+  if (!adapter.listModels) {
+    log(`     ${provider} has no model list endpoint`);
+    return;
+  }
+  const key = adapter.keyless ? '' : 'good';
+  const list = await call(adapter, adapter.listModels(endpoint), key);
+  expect(`${provider} list`, outcome(lib, adapter, list, 'list'), 'ok');
+  if (list.status === 200) expect(`${provider} list has models`, adapter.parseModels(JSON.parse(list.text)).length > 0, true);
+  if (!adapter.keyless) {
+    // A list endpoint that ignores the key must not be taken as proof of a valid key
+    const bad = outcome(lib, adapter, await call(adapter, adapter.listModels(endpoint), 'bad'), 'list');
+    expect(`${provider} list key=bad`, bad, adapter.listChecksKey ? 'invalid_key' : 'ok');
+  }
+}
+
+async function waitForMock() {
+  for (let i = 0; i < 20; i++) {
+    try {
+      await fetch(`${MOCK}/ollama/api/tags`, { signal: AbortSignal.timeout(500) });
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+  }
+  throw new Error(`mock provider server did not start on port ${PORT}`);
+}
+
+async function main() {
+  const lib = loadAdapters();
+
+  log('classifyProviderHttpError');
+  for (const [name, status, body, phase, want] of CLASSIFY_CASES) {
+    const adapter = { ...lib.PROVIDER_ADAPTERS[name], name };
+    expect(`${name} HTTP ${status} ${phase} ${body.slice(0, 60)}`, lib.classifyProviderHttpError(adapter, status, body, phase), want);
+  }
+
+  log('classifyProviderNetworkError');
+  expect('curl exit 28', lib.classifyProviderNetworkError({ curlCode: 28, message: '' }), 'timeout');
+  expect('curl exit 60', lib.classifyProviderNetworkError({ curlCode: 60, message: '' }), 'tls_error');
+  expect('curl exit 7', lib.classifyProviderNetworkError({ curlCode: 7, message: '' }), 'unreachable');
+  try {
+    await fetch('http://127.0.0.1:9/v1/models', { signal: AbortSignal.timeout(3000) });
+    expect('fetch to a closed port', 'ok', 'unreachable');
+  } catch (e) {
+    expect('fetch to a closed port', lib.classifyProviderNetworkError(e), 'unreachable');
+  }
+
+  const unmapped = Object.keys(lib.PROVIDER_ADAPTER_MAP).filter((p) => !TARGETS[p]);
+  expect('every PROVIDER_ADAPTER_MAP entry has a mock target', unmapped.join(', ') || 'none', 'none');
+
+  const mock = spawn(process.execPath, [path.join(__dirname, 'oc_mock_llm_providers.js')], {
+    env: { ...process.env, MOCK_LLM_PORT: String(PORT) },
+    stdio: 'ignore'
+  });
+  try {
+    await waitForMock();
+    for (const provider of Object.keys(TARGETS)) await checkProvider(lib, provider);
+  } finally {
+    mock.kill();
+  }
+
+  if (failures) {
+    log(`ERROR: ${failures} provider adapter check(s) failed`);
+    process.exit(1);
+  }
+  log('provider adapter check passed');
+}
+
+main().catch((e) => {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env bash
+# End-to-end OIDC login against test/oc_mock_oidc_idp.js.
+# Needs an admin API token with the "admin" scope: OC_API_TOKEN=ocp_... bash test/oc_sso_oidc_check.sh
+set -euo pipefail
+
+API_BASE="${API_BASE:-http://127.0.0.1:3000}"
+IDP_PORT="${MOCK_OIDC_PORT:-3901}"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TMP_DIR="$SCRIPT_DIR/.tmp"
+mkdir -p "$TMP_DIR"
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the admin scope (系统设置 → API 令牌)}"
+JAR="$TMP_DIR/sso-cookies.txt"
+rm -f "$JAR"
+
+log() { echo "[$(date '+%F %T')] $*"; }
+fail() { log "ERROR: $*"; exit 1; }
+api() { curl -fsS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/json' "$@"; }
+
+MOCK_OIDC_PORT="$IDP_PORT" MOCK_OIDC_USER="${MOCK_OIDC_USER:-sso-alice}" MOCK_OIDC_GROUPS="panel-ops" \
+  node "$SCRIPT_DIR/oc_mock_oidc_idp.js" >"$TMP_DIR/mock-oidc.log" 2>&1 &
+IDP_PID=$!
+trap 'kill "$IDP_PID" 2>/dev/null || true' EXIT
+for _ in $(seq 1 20); do
+  curl -fsS "http://127.0.0.1:$IDP_PORT/.well-known/openid-configuration" >/dev/null 2>&1 && break
+  sleep 0.5
+done
+
+log "configure panel OIDC"
+api -X PUT "$API_BASE/api/sso/config" -d "{
+  \"oidc\": {\"enabled\": true, \"issuer\": \"http://127.0.0.1:$IDP_PORT\", \"clientId\": \"openclaw-panel\", \"clientSecret\": \"mock-secret\"},
+  \"roleMapping\": {\"operator\": [\"panel-ops\"]},
+  \"autoCreate\": true
+}" | jq -e '.success' >/dev/null || fail "sso config rejected"
+api -X POST "$API_BASE/api/sso/oidc/test" -d '{}' | jq -e '.keyCount >= 1' >/dev/null || fail "discovery test failed"
+
+log "run authorization-code flow"
+final_url="$(curl -sS -L -c "$JAR" -b "$JAR" -o /dev/null -w '%{url_effective}' "$API_BASE/api/sso/oidc/start")"
+case "$final_url" in
+  *sso_error*) fail "login redirected with error: $final_url" ;;
+esac
+me="$(curl -fsS -b "$JAR" "$API_BASE/api/me")"
+echo "$me" | jq -c .
+[ "$(echo "$me" | jq -r '.role')" = "operator" ] || fail "expected operator role from group mapping"
+
+log "replayed callback must be refused"
+replay="$(curl -sS -o /dev/null -w '%{redirect_url}' -b "$JAR" "$API_BASE/api/sso/oidc/callback?code=x&state=bogus")"
+case "$replay" in
+  *sso_error*) ;;
+  *) fail "bogus state was not rejected: $replay" ;;
+esac
+
+log "OIDC SSO check passed"
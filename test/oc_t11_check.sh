@@ -2,11 +2,10 @@
 set -euo pipefail
 TMP_DIR="${TMP_DIR:-/root/.openclaw/test-tmp}"
 mkdir -p "$TMP_DIR"
-SECRET=$(jq -r '.webAuth.secret // empty' /root/.openclaw/docker-config.json)
-COOKIE=$(node -e 'const crypto=require("crypto");const s=process.argv[1]||"";const b=x=>Buffer.from(x).toString("base64").replace(/=/g,"").replace(/\+/g,"-").replace(/\//g,"_");const p=b(JSON.stringify({u:"admin",exp:Date.now()+3600*1000}));const g=b(crypto.createHmac("sha256",s).update(p).digest());process.stdout.write(p+"."+g);' "$SECRET")
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token (系统设置 → API 令牌)}"
 MARK="[t11-marker] $(date +%s)"
 echo "$MARK" >> /root/.openclaw/logs/gateway-watchdog.log
-curl -fsS -H "Cookie: oc_session=$COOKIE" -X POST http://127.0.0.1:3000/api/openclaw/start >"$TMP_DIR/t11_start.json"
+curl -fsS -H "Authorization: Bearer $TOKEN" -X POST http://127.0.0.1:3000/api/openclaw/start >"$TMP_DIR/t11_start.json"
 for i in $(seq 1 40); do
   if [ -f /root/.openclaw/logs/openclaw-gateway.log ] || [ -f /root/.openclaw/logs/gateway.log ]; then
     break
@@ -0,0 +1,60 @@
+#!/usr/bin/env bash
+# Secret vault checks: key rotation and password-sealed migration packages.
+# Needs a panel API token with the admin scope: OC_API_TOKEN=ocp_... bash test/oc_vault_check.sh
+# Rotates the master key of the target panel and re-imports its own export; use a test container.
+set -euo pipefail
+
+API_BASE="${API_BASE:-http://127.0.0.1:3000}"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TMP_DIR="$SCRIPT_DIR/.tmp/vault"
+mkdir -p "$TMP_DIR"
+TOKEN="${OC_API_TOKEN:?set OC_API_TOKEN to a panel API token with the admin scope (系统设置 → API 令牌)}"
+PASSWORD="vault-check-$RANDOM$RANDOM"
+
+log() { echo "[$(date '+%F %T')] $*"; }
+fail() { log "ERROR: $*"; exit 1; }
+api() { curl -sS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/json' "$@"; }
+
+status="$(api "$API_BASE/api/vault")"
+[ "$(echo "$status" | jq -r '.locked')" = "false" ] || fail "vault is locked, unlock it first"
+old_key="$(echo "$status" | jq -r '.keyId')"
+[ "$(echo "$status" | jq -r '.mode')" = "file" ] || fail "vault uses a passphrase; this check rotates to a file key"
+log "vault key $old_key"
+
+log "rotate master key"
+out="$(api -X POST "$API_BASE/api/vault/rotate" -d '{"mode":"file"}')"
+new_key="$(echo "$out" | jq -r '.keyId')"
+[ "$(echo "$out" | jq -r '.success')" = "true" ] || fail "rotation failed: $out"
+[ "$new_key" != "$old_key" ] || fail "key id did not change"
+stores="$(api "$API_BASE/api/vault" | jq -c '[.stores[] | select(.gateway | not) | {id, legacy, foreign}]')"
+echo "$stores" | jq -e 'all(.[]; .legacy == 0 and .foreign == 0)' >/dev/null || fail "secrets left under the old key: $stores"
+log "rotated to $new_key, no panel secret left behind"
+
+log "export without a password is refused"
+code="$(api -o /dev/null -w '%{http_code}' -X POST "$API_BASE/api/openclaw/migration/export" -d '{}')"
+[ "$code" = "400" ] || fail "expected 400, got $code"
+
+log "export sealed with a password"
+api -X POST "$API_BASE/api/openclaw/migration/export" -d "$(jq -nc --arg p "$PASSWORD" '{password: $p}')" -o "$TMP_DIR/migration.tar.gz"
+rm -rf "$TMP_DIR/unpacked" && mkdir -p "$TMP_DIR/unpacked"
+tar -xzf "$TMP_DIR/migration.tar.gz" -C "$TMP_DIR/unpacked"
+[ ! -e "$TMP_DIR/unpacked/.enc_key" ] || fail "package still carries .enc_key"
+export_key="$(jq -r '.vault.keyId' "$TMP_DIR/unpacked/_migration-meta.json")"
+[ -n "$export_key" ] && [ "$export_key" != "null" ] || fail "package has no vault metadata"
+if grep -rqs "ENC2:$new_key:" "$TMP_DIR/unpacked"; then fail "package contains values sealed with the vault key"; fi
+log "package sealed with export key $export_key ($(jq -r '.vault.secrets' "$TMP_DIR/unpacked/_migration-meta.json") secrets)"
+
+log "import with a wrong password is refused"
+out="$(curl -sS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/gzip' -H 'X-Migration-Password: wrong-password' \
+  --data-binary @"$TMP_DIR/migration.tar.gz" "$API_BASE/api/openclaw/migration/import")"
+[ "$(echo "$out" | jq -r '.passwordRequired')" = "true" ] || fail "wrong password accepted: $out"
+
+log "import with the export password"
+out="$(curl -sS -H "Authorization: Bearer $TOKEN" -H 'Content-Type: application/gzip' -H "X-Migration-Password: $PASSWORD" \
+  --data-binary @"$TMP_DIR/migration.tar.gz" "$API_BASE/api/openclaw/migration/import")"
+[ "$(echo "$out" | jq -r '.success')" = "true" ] || fail "import failed: $out"
+stores="$(api "$API_BASE/api/vault" | jq -c '[.stores[] | {id, foreign}]')"
+echo "$stores" | jq -e 'all(.[]; .foreign == 0)' >/dev/null || fail "imported secrets not resealed: $stores"
+
+rm -rf "$TMP_DIR"
+log "vault check passed"
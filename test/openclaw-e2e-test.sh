@@ -28,23 +28,9 @@ need_cmd curl
 need_cmd jq
 need_cmd node
 
-sign_cookie() {
-  local secret
-  secret="$(jq -r '.webAuth.secret // ""' /root/.openclaw/docker-config.json 2>/dev/null || true)"
-  [ -n "$secret" ] || return 1
-  node - "$secret" <<'NODE'
-const crypto = require('crypto');
-const secret = process.argv[2] || '';
-const b64u = (s) => Buffer.from(s).toString('base64').replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_');
-const payload = b64u(JSON.stringify({u:'admin', exp: Date.now() + 2*60*60*1000}));
-const sig = b64u(crypto.createHmac('sha256', secret).update(payload).digest());
-process.stdout.write(`${payload}.${sig}`);
-NODE
-}
-
-COOKIE="$(sign_cookie)"
-if [ -z "$COOKIE" ]; then
-  echo "cannot build auth cookie" >&2
+API_TOKEN="${OC_API_TOKEN:-}"
+if [ -z "$API_TOKEN" ]; then
+  echo "OC_API_TOKEN is not set (create one in 系统设置 → API 令牌 with status:read, logs:read, openclaw:install)" >&2
   exit 2
 fi
 
@@ -53,9 +39,9 @@ api() {
   local path="$2"
   local body="${3:-}"
   if [ -n "$body" ]; then
-    curl -fsS -H "Cookie: oc_session=$COOKIE" -H "Content-Type: application/json" -X "$method" "$API_BASE$path" -d "$body"
+    curl -fsS -H "Authorization: Bearer $API_TOKEN" -H "Content-Type: application/json" -X "$method" "$API_BASE$path" -d "$body"
   else
-    curl -fsS -H "Cookie: oc_session=$COOKIE" -X "$method" "$API_BASE$path"
+    curl -fsS -H "Authorization: Bearer $API_TOKEN" -X "$method" "$API_BASE$path"
   fi
 }
 
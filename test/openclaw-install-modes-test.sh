@@ -19,35 +19,17 @@ need_cmd curl
 need_cmd jq
 need_cmd node
 
-sign_cookie() {
-  local secret users_json
-  secret="$(jq -r '.webAuth.secret // ""' /root/.openclaw/docker-config.json 2>/dev/null || true)"
-  users_json="$(jq -c '.webAuth.users // {}' /root/.openclaw/docker-config.json 2>/dev/null || true)"
-  [ -n "$secret" ] || return 1
-  [ -n "$users_json" ] || users_json='{}'
-  node - "$secret" "$users_json" <<'NODE'
-const crypto = require('crypto');
-const secret = process.argv[2] || '';
-const users = JSON.parse(process.argv[3] || '{}');
-const userNames = Object.keys(users || {});
-const loginUser = userNames.includes('admin') ? 'admin' : (userNames[0] || 'admin');
-const b64u = (s) => Buffer.from(s).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-const payload = b64u(JSON.stringify({ u: loginUser, exp: Date.now() + 2 * 60 * 60 * 1000 }));
-const sig = b64u(crypto.createHmac('sha256', secret).update(payload).digest());
-process.stdout.write(`${payload}.${sig}`);
-NODE
-}
-
-COOKIE="$(sign_cookie)" || fail "cannot build auth cookie"
+API_TOKEN="${OC_API_TOKEN:-}"
+[ -n "$API_TOKEN" ] || fail "OC_API_TOKEN is not set (create one in 系统设置 → API 令牌 with status:read, logs:read, openclaw:install)"
 
 api() {
   local method="$1"
   local path="$2"
   local body="${3:-}"
   if [ -n "$body" ]; then
-    curl --noproxy '*' -fsS -H "Cookie: oc_session=$COOKIE" -H "Content-Type: application/json" -X "$method" "$API_BASE$path" -d "$body"
+    curl --noproxy '*' -fsS -H "Authorization: Bearer $API_TOKEN" -H "Content-Type: application/json" -X "$method" "$API_BASE$path" -d "$body"
   else
-    curl --noproxy '*' -fsS -H "Cookie: oc_session=$COOKIE" -X "$method" "$API_BASE$path"
+    curl --noproxy '*' -fsS -H "Authorization: Bearer $API_TOKEN" -X "$method" "$API_BASE$path"
   fi
 }
 
@@ -56,7 +38,7 @@ get_web_pid() {
 }
 
 web_api_health_code() {
-  curl --noproxy '*' -sS -o /dev/null -w '%{http_code}' --max-time 3 -H "Cookie: oc_session=$COOKIE" "$API_BASE/api/openclaw" || true
+  curl --noproxy '*' -sS -o /dev/null -w '%{http_code}' --max-time 3 -H "Authorization: Bearer $API_TOKEN" "$API_BASE/api/openclaw" || true
 }
 
 wait_web_ready() {
@@ -361,8 +361,23 @@ if ($updateChoice -eq "1" -and -not $recommendFull) {
 
     Write-Step "触发热更新..."
     
+    # The panel API needs a token: use OC_API_TOKEN, or mint a 15-minute admin token inside the container
+    # (older images lack the minting script; their panel still accepts local calls without one)
+    $apiToken = $env:OC_API_TOKEN
+    if (-not $apiToken) {
+        $apiToken = & docker exec $CONTAINER_NAME node /opt/clawnook/scripts/openclaw-api-token.js --scope openclaw:install,status:read --minutes 15 --name hotpatch 2>$null
+    }
+    $authArgs = @()
+    if ($apiToken) { $authArgs = @("-H", "Authorization: Bearer $("$apiToken".Trim())") }
+
     # Call the hotpatch API inside the container
-    $hotpatchResult = & docker exec $CONTAINER_NAME curl -s -X POST http://127.0.0.1:3000/api/update/hotpatch -H "Content-Type: application/json" -d '{"branch":"main"}' 2>$null
+    $hotpatchResult = & docker exec $CONTAINER_NAME curl -s -X POST http://127.0.0.1:3000/api/update/hotpatch @authArgs -H "Content-Type: application/json" -d '{"branch":"main"}' 2>$null
+    if ($hotpatchResult -match '"error":"(unauthorized|Permission denied|API token scope not allowed)"') {
+        Write-Err "Web 面板拒绝了热更新请求: $hotpatchResult"
+        Write-Host "  可在 系统设置 → API 令牌 创建带 openclaw:install 与 status:read 权限的管理员令牌，设置 OC_API_TOKEN 后重试" -ForegroundColor Yellow
+        Read-Host "按回车退出"
+        return
+    }
     
     # Poll for completion
     # Note: if server.js is updated, the web panel auto-restarts, which means:
@@ -381,7 +396,7 @@ if ($updateChoice -eq "1" -and -not $recommendFull) {
     for ($i = 1; $i -le 180; $i++) {
         Start-Sleep 1
         try {
-            $statusJson = & docker exec $CONTAINER_NAME curl -sf http://127.0.0.1:3000/api/update/hotpatch/status 2>$null
+            $statusJson = & docker exec $CONTAINER_NAME curl -sf @authArgs http://127.0.0.1:3000/api/update/hotpatch/status 2>$null
             if (-not $statusJson) { throw "empty" }
             $status = $statusJson | ConvertFrom-Json
             
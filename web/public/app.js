@@ -91,7 +91,9 @@ async function api(url, opts={}){
       const detail = (data && typeof data === 'object' && data.error)
         ? data.error
         : (rawText ? compactOutputForUi(rawText) : _t('请求失败（HTTP {0}）', res.status));
-      return { error: detail, status: res.status };
+      // Keep structured validation details (e.g. errors[]) for callers that render them
+      const extra = data && typeof data === 'object' ? { errors: data.errors, missingEnv: data.missingEnv } : {};
+      return { error: detail, status: res.status, ...extra };
     }
     if (data && typeof data === 'object') return data;
     return { error: rawText ? _t('响应不是有效 JSON：{0}', compactOutputForUi(rawText)) : _t('响应为空（后端未返回 JSON）') };
@@ -350,7 +352,7 @@ const ROUTES = [
   { id: 'messaging', title: _t('消息平台') },
   { id: 'browser', title: _t('远端设备管理') },
   { id: 'plugins', title: _t('插件市场') },
-  // { id: 'app-center', title: _t('应用中心') },
+  { id: 'app-center', title: _t('应用中心') },
   { id: 'terminal', title: _t('终端') },
   { id: 'settings', title: _t('系统设置') },
   { id: 'logs', title: _t('日志') },
@@ -360,8 +362,6 @@ function getRouteFromHash(){
   const h = (location.hash || '').replace('#','').trim();
   if (h === 'ai') return 'openclaw-ai';
   if (h === 'openclaw') return 'openclaw-engine';
-  // Hidden routes: accessible via direct URL but not shown in nav
-  if (h === 'app-center') return 'app-center';
   const found = ROUTES.find(r => r.id === h);
   return found ? found.id : 'dashboard';
 }
@@ -390,12 +390,12 @@ function setActiveRoute(route){
   // hooks
   if (route === 'dashboard') refreshStatus();
   if (route === 'openclaw-engine') { refreshOpenClaw(); }
-  if (route === 'openclaw-ai') { loadAIConfig(); }
+  if (route === 'openclaw-ai') { loadAIConfig(); loadLocalModels(); loadModelRouting(); loadModelHealth(); loadModelUsage(); }
   if (route === 'messaging') { loadMessagingConfig(); }
   if (route === 'browser') startDeviceManagementPolling();
   if (route === 'plugins') refreshPlugins();
   if (route === 'app-center') refreshAppCenter();
-  if (route === 'terminal') {
+  if (route === 'terminal' && hasWebRole('admin')) {
     bindTerminalInteraction();
     terminalConnect();
     ensureTerminalViewportFitted();
@@ -403,7 +403,15 @@ function setActiveRoute(route){
     setTimeout(() => ensureTerminalViewportFitted(), 600);
     focusTerminalInput();
   }
-  if (route === 'settings') { renderDetectedTimezone(); checkForUpdate(); if (typeof window._bindSettingsLanguage === 'function') window._bindSettingsLanguage(); }
+  if (route === 'settings') {
+    renderDetectedTimezone();
+    checkForUpdate();
+    loadTwoFactorStatus();
+    loadWebSessions();
+    loadApiTokens();
+    if (hasWebRole('admin')) { loadPanelUsers(); loadSsoConfig(); loadAccessPolicy(); loadLoginGuard(); loadVault(); }
+    if (typeof window._bindSettingsLanguage === 'function') window._bindSettingsLanguage();
+  }
   if (route === 'logs') {
     // Reset WebSocket log dedup state
     shownWsLogIds.clear();
@@ -1817,12 +1825,23 @@ $('config-import-file')?.addEventListener('change', async (e) => {
 $('btn-migration-export')?.addEventListener('click', async () => {
   const btn = $('btn-migration-export');
   if (btn) { btn.disabled = true; btn.textContent = _t('打包中...'); }
+  const password = $('migration-password')?.value || '';
+  if (password.length < 8) {
+    if (btn) { btn.disabled = false; btn.textContent = '🚚 ' + _t('迁移导出'); }
+    $('migration-password')?.focus();
+    return toast(_t('需要迁移包密码'), _t('请先输入至少 8 位的迁移包密码，包内密钥将用它重新加密'));
+  }
   appendOcLogLine(_t('[migration] 正在导出全量迁移数据（配置+密钥+身份+设备+工作空间+会话历史）...'));
   try {
-    const resp = await fetch('/api/openclaw/migration/export', { credentials: 'same-origin' });
+    const resp = await fetch('/api/openclaw/migration/export', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password })
+    });
     if (!resp.ok) {
       const err = await resp.json().catch(() => ({}));
-      throw new Error(err.error || _t('导出失败'));
+      throw new Error(err.error ? serverMsg(err.error) : _t('导出失败'));
     }
     const blob = await resp.blob();
     const cd = resp.headers.get('content-disposition') || '';
@@ -1878,7 +1897,7 @@ $('migration-import-file')?.addEventListener('change', async (e) => {
   }
   if (!confirm(_t('⚠️ 迁移导入将覆盖当前容器的 OpenClaw 应用数据：\n\n') +
     _t('• 配置文件（模型、渠道、安全策略）\n') +
-    _t('• 加密密钥（.enc_key）\n') +
+    _t('• 各类密钥（用迁移包密码解开后以本机保险库重新加密）\n') +
     _t('• 设备身份和已配对 Node\n') +
     _t('• 工作空间（SOUL.md 等 Agent 人格文件、脚本）\n') +
     _t('• Agent 会话历史\n') +
@@ -1893,11 +1912,12 @@ $('migration-import-file')?.addEventListener('change', async (e) => {
     const resp = await fetch('/api/openclaw/migration/import', {
       method: 'POST',
       credentials: 'same-origin',
-      headers: { 'Content-Type': 'application/gzip' },
+      headers: { 'Content-Type': 'application/gzip', 'X-Migration-Password': encodeURIComponent($('migration-password')?.value || '') },
       body: file
     });
     const r = await resp.json();
-    if (!resp.ok || r.error) throw new Error(r.error || _t('导入失败'));
+    if (r.passwordRequired) $('migration-password')?.focus();
+    if (!resp.ok || r.error) throw new Error(r.error ? serverMsg(r.error) : _t('导入失败'));
     toast(_t('迁移导入成功'), _t('已恢复 ') + (r.restoredFiles || []).length + _t(' 项数据'));
     appendOcLogLine(_t('[migration] 导入完成: ') + (r.restoredFiles || []).join(', '));
     appendOcLogLine(_t('[migration] 原数据已备份到: ') + (r.preImportBackup || ''));
@@ -2829,9 +2849,10 @@ function renderConfiguredKeys() {
     const pConfig = AI_PROVIDERS[k.provider] || {};
     const providerName = pConfig.name || k.provider;
     const keyHint = k.keyMasked ? ` (${k.keyMasked})` : (k.authType === 'oauth' ? ' (OAuth)' : '');
+    const badge = AI_KEY_HEALTH_BADGES[k.health?.state];
     const opt = document.createElement('option');
     opt.value = String(idx);
-    opt.textContent = `${providerName}${keyHint}`;
+    opt.textContent = `${badge && k.health.state !== 'ok' ? badge[0] + ' ' : ''}${providerName}${k.label ? ' · ' + k.label : ''}${keyHint}`;
     select.appendChild(opt);
   });
 
@@ -2872,9 +2893,18 @@ function onConfiguredKeySelected() {
   const pConfig = AI_PROVIDERS[key.provider] || {};
   const authLabel = key.authType === 'oauth' ? 'OAuth' : 'API Key';
   let infoText = `${authLabel}: ${key.keyMasked || '—'}`;
+  if (key.label) infoText += `\n${_t('名称')}: ${key.label}`;
   if (key.baseUrl) infoText += `\nURL: ${key.baseUrl}`;
+  if (key.health) infoText += '\n' + formatAiKeyHealth(key);
   if (info) info.textContent = infoText;
 
+  // Key pool controls only apply to API keys
+  const h = key.health;
+  $('btn-ai-configured-meta').hidden = !h;
+  $('btn-ai-configured-cooldown').hidden = !(h && (h.cooldownUntil || h.failures));
+  $('ai-configured-pool-wrap').hidden = !(key.pool && key.pool.size > 1);
+  if (key.pool) $('ai-configured-pool-strategy').value = key.pool.strategy;
+
   // Auto-fetch available models
   fetchConfiguredKeyModels();
 }
@@ -2964,6 +2994,68 @@ function renderConfiguredModelsList(models) {
   });
 }
 
+// ------------------------
+// Key pools (health, cooldown, strategy)
+// ------------------------
+const AI_KEY_HEALTH_BADGES = {
+  ok: ['🟢', '正常'],
+  expiring: ['🟡', '即将过期'],
+  cooldown: ['⏸', '冷却中'],
+  auth_failed: ['🔴', '认证失败'],
+  expired: ['⛔', '已过期']
+};
+
+function formatAiKeyHealth(key) {
+  const h = key.health;
+  const badge = AI_KEY_HEALTH_BADGES[h.state] || AI_KEY_HEALTH_BADGES.ok;
+  const parts = [`${_t('状态')}: ${badge[0]} ${_t(badge[1])}`];
+  if (h.cooldownUntil) parts.push(_t('冷却至 {0}', new Date(h.cooldownUntil).toLocaleString()));
+  if (h.expiresAt) parts.push(_t('过期日期 {0}', new Date(h.expiresAt).toLocaleDateString()));
+  if (h.lastUsed) parts.push(_t('最近使用 {0}', new Date(h.lastUsed).toLocaleString()));
+  if (h.lastLimitedAt) parts.push(_t('最近限流 {0}', new Date(h.lastLimitedAt).toLocaleString()));
+  if (h.failures) parts.push(_t('连续失败 {0} 次', h.failures) + (h.lastStatus ? ` (HTTP ${h.lastStatus})` : ''));
+  if (key.pool && key.pool.size > 1) parts.push(_t('Key 池：{0} 个 Key', key.pool.size));
+  return parts.join('\n');
+}
+
+function getSelectedConfiguredKey() {
+  const idx = parseInt($('ai-configured-select')?.value || '', 10);
+  return aiConfiguredKeys[idx] || null;
+}
+
+async function editConfiguredKeyMeta() {
+  const key = getSelectedConfiguredKey();
+  if (!key) return;
+  const label = prompt(_t('Key 名称（留空清除）'), key.label || '');
+  if (label === null) return;
+  const current = key.expiresAt ? new Date(key.expiresAt).toISOString().slice(0, 10) : '';
+  const expiresAt = prompt(_t('过期日期 YYYY-MM-DD（留空清除）'), current);
+  if (expiresAt === null) return;
+  const res = await api('/api/ai/keys/meta', { method: 'PUT', body: { profileId: key.id, label: label.trim(), expiresAt: expiresAt.trim() } });
+  if (res.error) { toast(_t('保存失败'), res.error); return; }
+  toast(_t('保存成功'));
+  await loadAIConfig();
+}
+
+async function resetConfiguredKeyCooldown() {
+  const key = getSelectedConfiguredKey();
+  if (!key) return;
+  const res = await api('/api/ai/keys/cooldown/reset', { method: 'POST', body: { profileId: key.id } });
+  if (res.error) { toast(_t('操作失败'), res.error); return; }
+  appendAiAuthLog(_t('[keys] {0} 已解除冷却', key.label || key.keyMasked), 'success');
+  await loadAIConfig();
+}
+
+async function saveConfiguredKeyPoolStrategy() {
+  const key = getSelectedConfiguredKey();
+  if (!key) return;
+  const strategy = $('ai-configured-pool-strategy').value;
+  const res = await api('/api/ai/keys/pool', { method: 'PUT', body: { provider: key.provider, strategy } });
+  if (res.error) { toast(_t('保存失败'), res.error); return; }
+  appendAiAuthLog(_t('[keys] {0} Key 池策略：{1}', key.provider, strategy), 'success');
+  await loadAIConfig();
+}
+
 async function deleteConfiguredKey() {
   const select = $('ai-configured-select');
   const idx = parseInt(select?.value || '', 10);
@@ -3029,14 +3121,18 @@ async function addAiKey() {
       method: 'POST',
       body: { provider, apiKey, baseUrl: baseUrl || null }
     });
+    const vDetail = vRes.detail ? ` (${vRes.detail})` : '';
     if (vRes.valid === false) {
-      toast(_t('Key 无效'), vRes.error || _t('API Key 验证失败'));
-      appendAiAuthLog(_t('[validate] API Key 验证失败: {0}', vRes.error || _t('无效')), 'error');
-      if (addBtn) { addBtn.disabled = false; addBtn.textContent = _t('添加此 API Key'); }
-      return;
-    }
-    if (vRes.warning) {
-      appendAiAuthLog(`[validate] ⚠️ ${vRes.warning}`);
+      const vError = serverMsg(vRes.error) || _t('API Key 验证失败');
+      appendAiAuthLog(_t('[validate] API Key 验证失败: {0}', vError + vDetail), 'error');
+      // Connectivity problems say nothing about the key itself, so saving stays possible
+      if (!(vRes.retryable && confirm(_t('无法确认 Key 是否有效：{0}\n仍然保存？', vError)))) {
+        toast(_t('Key 无效'), vError);
+        if (addBtn) { addBtn.disabled = false; addBtn.textContent = _t('添加此 API Key'); }
+        return;
+      }
+    } else if (vRes.warning) {
+      appendAiAuthLog(`[validate] ⚠️ ${serverMsg(vRes.warning)}${vDetail}`);
     } else {
       appendAiAuthLog(_t('[validate] API Key 验证通过 ✓'), 'success');
     }
@@ -3050,7 +3146,13 @@ async function addAiKey() {
   try {
     const res = await api('/api/ai/keys', {
       method: 'POST',
-      body: { provider, apiKey: apiKey || null, baseUrl: baseUrl || null }
+      body: {
+        provider,
+        apiKey: apiKey || null,
+        baseUrl: baseUrl || null,
+        label: $('ai-apikey-name')?.value?.trim() || '',
+        expiresAt: $('ai-apikey-expires')?.value || null
+      }
     });
 
     if (res.error) {
@@ -3063,6 +3165,8 @@ async function addAiKey() {
     toast(_t('添加成功'), _t('{0} API Key 已保存', config.name || provider));
     appendAiAuthLog(_t('[add] {0} API Key 添加成功', config.name || provider), 'success');
     if ($('ai-apikey')) $('ai-apikey').value = '';
+    if ($('ai-apikey-name')) $('ai-apikey-name').value = '';
+    if ($('ai-apikey-expires')) $('ai-apikey-expires').value = '';
     await loadAIConfig();
     // Auto-switch to configured keys page
     document.querySelector('#ai-key-tabs .tab[data-ai-tab="configured-keys"]')?.click();
@@ -3200,6 +3304,7 @@ async function saveAIConfig() {
 
     toast(_t('保存成功'), res.message || _t('模型配置已保存'));
     appendAiAuthLog(_t('[save] {0}', res.message || _t('模型配置已保存')), 'success');
+    loadModelRouting();
     await loadAIConfig();
   } catch (e) {
     toast(_t('保存失败'), e.message);
@@ -3339,6 +3444,9 @@ $('btn-ai-add-key')?.addEventListener('click', addAiKey);
 $('ai-configured-select')?.addEventListener('change', onConfiguredKeySelected);
 $('btn-ai-configured-fetch')?.addEventListener('click', fetchConfiguredKeyModels);
 $('btn-ai-configured-delete')?.addEventListener('click', deleteConfiguredKey);
+$('btn-ai-configured-meta')?.addEventListener('click', editConfiguredKeyMeta);
+$('btn-ai-configured-cooldown')?.addEventListener('click', resetConfiguredKeyCooldown);
+$('ai-configured-pool-strategy')?.addEventListener('change', saveConfiguredKeyPoolStrategy);
 
 // Record the last focused model input field
 ['ai-model-primary','ai-model-primary-fallback','ai-model-sub','ai-model-sub-fallback'].forEach(id => {
@@ -5345,7 +5453,71 @@ async function refreshLogs(){
   $('log-viewer').scrollTop = $('log-viewer').scrollHeight;
 }
 
-$('btn-logs-refresh').addEventListener('click', refreshLogs);
+// ------------------------
+// Logs — audit trail (admin)
+// ------------------------
+const AUDIT_PAGE_SIZE = 50;
+let auditOffset = 0;
+const AUDIT_RESULT_COLORS = { ok: '#3fb950', failed: '#d29922', denied: '#ff453a', error: '#ff453a' };
+
+async function loadAuditLog(){
+  const listEl = $('audit-list');
+  if (!listEl) return;
+  const params = new URLSearchParams({ limit: String(AUDIT_PAGE_SIZE), offset: String(auditOffset) });
+  const user = $('audit-filter-user').value.trim();
+  const q = $('audit-filter-q').value.trim();
+  const result = $('audit-filter-result').value;
+  if (user) params.set('user', user);
+  if (q) params.set('q', q);
+  if (result) params.set('result', result);
+  const r = await api('/api/audit?' + params.toString());
+  if (r.error) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + esc(r.error) + '</div>';
+    return;
+  }
+  const events = r.events || [];
+  $('audit-page-info').textContent = events.length ? _t('第 {0}-{1} 条', auditOffset + 1, auditOffset + events.length) : '';
+  $('btn-audit-prev').disabled = auditOffset <= 0;
+  $('btn-audit-next').disabled = !r.hasMore;
+  if (!events.length) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px">' + _t('暂无审计记录') + '</div>';
+    return;
+  }
+  listEl.innerHTML = events.map(ev => {
+    const summary = ev.summary && Object.keys(ev.summary).length ? JSON.stringify(ev.summary) : '';
+    return '<div style="padding:6px 10px;border-bottom:1px solid var(--border);font-size:12px">'
+      + '<div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center">'
+      + '<span class="muted">' + esc(new Date(ev.ts).toLocaleString()) + '</span>'
+      + '<b>' + esc(ev.user || '—') + '</b>'
+      + (ev.via && ev.via !== 'session' ? '<span class="badge" style="font-size:10px;padding:1px 6px">' + esc(ev.via) + '</span>' : '')
+      + '<code>' + esc(ev.action || (ev.method + ' ' + ev.route)) + '</code>'
+      + (ev.route && ev.action && !ev.action.endsWith(ev.route) ? '<span class="muted">' + esc(ev.route) + '</span>' : '')
+      + '<span style="color:' + (AUDIT_RESULT_COLORS[ev.result] || '#8b949e') + '">' + esc(ev.result || '') + (ev.status ? ' (' + ev.status + ')' : '') + '</span>'
+      + '<span class="muted">IP: ' + esc(ev.ip || '—') + '</span>'
+      + '</div>'
+      + (summary ? '<div class="muted" style="margin-top:2px;font-family:monospace;word-break:break-all">' + esc(summary) + '</div>' : '')
+      + '</div>';
+  }).join('');
+}
+
+$('logs-tabs')?.addEventListener('click', (e) => {
+  const t = e.target.closest('.tab');
+  if (!t) return;
+  const ltab = t.getAttribute('data-ltab');
+  qa('#logs-tabs .tab').forEach(x => x.classList.toggle('active', x === t));
+  $('logs-runtime').hidden = ltab !== 'runtime';
+  $('logs-audit').hidden = ltab !== 'audit';
+  if (ltab === 'audit') { auditOffset = 0; loadAuditLog(); }
+});
+$('btn-audit-search')?.addEventListener('click', ()=>{ auditOffset = 0; loadAuditLog(); });
+$('audit-filter-q')?.addEventListener('keydown', (e)=>{ if (e.key === 'Enter') { auditOffset = 0; loadAuditLog(); } });
+$('btn-audit-prev')?.addEventListener('click', ()=>{ auditOffset = Math.max(0, auditOffset - AUDIT_PAGE_SIZE); loadAuditLog(); });
+$('btn-audit-next')?.addEventListener('click', ()=>{ auditOffset += AUDIT_PAGE_SIZE; loadAuditLog(); });
+
+$('btn-logs-refresh').addEventListener('click', () => {
+  if (!$('logs-audit')?.hidden) return loadAuditLog();
+  refreshLogs();
+});
 $('logs-view-mode')?.addEventListener('change', refreshLogs);
 $('logs-auto').addEventListener('change', ()=>{
   if ($('logs-auto').checked){
@@ -5378,6 +5550,1093 @@ $('btn-password').addEventListener('click', async ()=>{
   }
 });
 
+// ------------------------
+// Current user & roles
+// ------------------------
+const WEB_ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+const WEB_ROLE_LABELS = { viewer: '只读', operator: '运维', admin: '管理员' };
+let currentWebUser = null;
+
+function hasWebRole(requiredRole){
+  // Until /api/me answers, assume full access; the server enforces roles anyway
+  if (!currentWebUser) return true;
+  return (WEB_ROLE_RANK[currentWebUser.role] || 0) >= (WEB_ROLE_RANK[requiredRole] || WEB_ROLE_RANK.admin);
+}
+
+function applyRoleVisibility(){
+  qa('[data-min-role]').forEach(el => el.classList.toggle('role-hidden', !hasWebRole(el.dataset.minRole)));
+  const chip = $('current-user-chip');
+  if (chip && currentWebUser) {
+    chip.textContent = currentWebUser.username + ' · ' + _t(WEB_ROLE_LABELS[currentWebUser.role] || currentWebUser.role);
+    chip.style.display = '';
+  }
+}
+
+async function loadCurrentUser(){
+  const r = await api('/api/me', { timeoutMs: 8000 });
+  if (r.error || !r.username) return;
+  currentWebUser = { username: r.username, role: r.role };
+  applyRoleVisibility();
+  if (getRouteFromHash() === 'terminal' && !hasWebRole('admin')) location.hash = '#dashboard';
+  else if (getRouteFromHash() === 'settings' && hasWebRole('admin')) loadPanelUsers();
+}
+
+function renderPanelUsers(users){
+  const listEl = $('settings-users-list');
+  if (!listEl) return;
+  if (!users.length) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px">' + _t('暂无用户') + '</div>';
+    return;
+  }
+  const roleOptions = (selected) => Object.keys(WEB_ROLE_RANK).map(role =>
+    '<option value="' + role + '"' + (role === selected ? ' selected' : '') + '>' + esc(_t(WEB_ROLE_LABELS[role])) + '</option>'
+  ).join('');
+  listEl.innerHTML = users.map((u) => {
+    const name = esc(u.username);
+    const isSelf = currentWebUser && u.username === currentWebUser.username;
+    const created = u.createdAt ? new Date(u.createdAt).toLocaleString() : '—';
+    return '<div style="display:flex;align-items:center;gap:8px;padding:8px 10px;border-bottom:1px solid var(--border);flex-wrap:wrap">'
+      + '<span style="color:' + (u.disabled ? '#8b949e' : '#3fb950') + ';font-size:14px">●</span>'
+      + '<b style="min-width:100px">' + name + '</b>'
+      + (isSelf ? '<span class="muted small">' + _t('（当前用户）') + '</span>' : '')
+      + (u.totpEnabled ? '<span class="badge" style="font-size:10px;padding:1px 6px">2FA</span>' : '')
+      + (u.sso ? '<span class="badge" style="font-size:10px;padding:1px 6px">SSO · ' + esc(u.sso === 'header' ? _t('代理头') : 'OIDC') + '</span>' : '')
+      + (u.ssoLink ? '<span class="badge" style="font-size:10px;padding:1px 6px">' + _t('待绑定 SSO · {0}', u.ssoLink === 'header' ? _t('代理头') : 'OIDC') + '</span>' : '')
+      + '<span class="muted small">' + _t('创建于') + ': ' + esc(created) + '</span>'
+      + '<span style="flex:1"></span>'
+      + '<select class="input" data-user-role="' + name + '" style="height:28px;width:auto;padding:2px 8px"' + (isSelf ? ' disabled' : '') + '>' + roleOptions(u.role) + '</select>'
+      + '<button class="btn" data-user-toggle="' + name + '" data-disabled="' + (u.disabled ? '1' : '0') + '" style="font-size:11px;padding:2px 8px"' + (isSelf ? ' disabled' : '') + '>' + (u.disabled ? _t('启用') : _t('停用')) + '</button>'
+      + '<button class="btn" data-user-reset="' + name + '" style="font-size:11px;padding:2px 8px">' + _t('重置密码') + '</button>'
+      + (u.totpEnabled ? '<button class="btn" data-user-reset-totp="' + name + '" style="font-size:11px;padding:2px 8px">' + _t('重置两步验证') + '</button>' : '')
+      + (u.sso ? '' : '<button class="btn" data-user-sso-link="' + name + '" data-linked="' + (u.ssoLink ? '1' : '0') + '" style="font-size:11px;padding:2px 8px">' + (u.ssoLink ? _t('取消 SSO 绑定') : _t('允许 SSO 绑定')) + '</button>')
+      + '<button class="btn btn-danger" data-user-delete="' + name + '" style="font-size:11px;padding:2px 8px"' + (isSelf ? ' disabled' : '') + '>' + _t('删除') + '</button>'
+      + '</div>';
+  }).join('');
+  listEl.querySelectorAll('[data-user-role]').forEach((sel) => {
+    sel.addEventListener('change', () => updatePanelUser(sel.dataset.userRole, { role: sel.value }));
+  });
+  listEl.querySelectorAll('[data-user-toggle]').forEach((btn) => {
+    btn.addEventListener('click', () => updatePanelUser(btn.dataset.userToggle, { disabled: btn.dataset.disabled !== '1' }));
+  });
+  listEl.querySelectorAll('[data-user-reset]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const password = prompt(_t('请输入 {0} 的新密码（至少8位，含大小写字母、数字和特殊字符）', btn.dataset.userReset));
+      if (password) updatePanelUser(btn.dataset.userReset, { password });
+    });
+  });
+  listEl.querySelectorAll('[data-user-reset-totp]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (confirm(_t('确定重置 {0} 的两步验证吗？该用户下次登录后需重新绑定。', btn.dataset.userResetTotp))) {
+        updatePanelUser(btn.dataset.userResetTotp, { resetTotp: true });
+      }
+    });
+  });
+  listEl.querySelectorAll('[data-user-sso-link]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const username = btn.dataset.userSsoLink;
+      if (btn.dataset.linked === '1') return updatePanelUser(username, { ssoLink: '' });
+      const provider = (prompt(_t('同名的 SSO 身份下次登录时将绑定到 {0} 并接管该账号。输入来源：oidc 或 header', username), 'oidc') || '').trim();
+      if (provider) updatePanelUser(username, { ssoLink: provider });
+    });
+  });
+  listEl.querySelectorAll('[data-user-delete]').forEach((btn) => {
+    btn.addEventListener('click', () => deletePanelUser(btn.dataset.userDelete));
+  });
+}
+
+async function loadPanelUsers(){
+  const r = await api('/api/users');
+  if (r.error) {
+    const listEl = $('settings-users-list');
+    if (listEl) listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + _t('加载失败') + '</div>';
+    return;
+  }
+  renderPanelUsers(r.users || []);
+}
+
+async function updatePanelUser(username, patch){
+  const r = await api('/api/users/' + encodeURIComponent(username), { method: 'PUT', body: patch });
+  if (r.success) toast(_t('用户已更新'), username);
+  else toast(_t('操作失败'), r.error || '');
+  loadPanelUsers();
+}
+
+async function deletePanelUser(username){
+  if (!confirm(_t('确定删除用户 {0} 吗？', username))) return;
+  const r = await api('/api/users/' + encodeURIComponent(username), { method: 'DELETE' });
+  if (r.success) toast(_t('用户已删除'), username);
+  else toast(_t('操作失败'), r.error || '');
+  loadPanelUsers();
+}
+
+$('btn-users-refresh')?.addEventListener('click', loadPanelUsers);
+$('btn-user-add')?.addEventListener('click', async ()=>{
+  const username = $('new-user-name').value.trim();
+  const password = $('new-user-password').value;
+  const role = $('new-user-role').value;
+  if (!username) return toast(_t('缺少参数'), _t('请输入用户名'));
+  if (!password) return toast(_t('缺少参数'), _t('请输入密码'));
+  const r = await api('/api/users', { method: 'POST', body: { username, password, role } });
+  if (r.success) {
+    toast(_t('用户已添加'), username);
+    $('new-user-name').value = '';
+    $('new-user-password').value = '';
+    loadPanelUsers();
+  } else {
+    toast(_t('添加失败'), r.error || '');
+  }
+});
+
+// ------------------------
+// Settings — two-factor auth
+// ------------------------
+function showRecoveryCodes(codes){
+  $('twofa-recovery-codes').textContent = (codes || []).join('\n');
+  $('twofa-recovery-box').style.display = codes && codes.length ? '' : 'none';
+}
+
+async function loadTwoFactorStatus(){
+  const r = await api('/api/2fa/status');
+  if (r.error) return;
+  $('twofa-status').textContent = r.enabled ? _t('已启用') : _t('未启用');
+  $('twofa-actions-off').style.display = r.enabled ? 'none' : '';
+  $('twofa-actions-on').style.display = r.enabled ? '' : 'none';
+  $('twofa-recovery-remaining').textContent = r.enabled ? _t('剩余恢复码：{0}', r.recoveryCodesRemaining) : '';
+  if (r.enabled) $('twofa-enroll').style.display = 'none';
+}
+
+$('btn-2fa-setup')?.addEventListener('click', async ()=>{
+  const r = await api('/api/2fa/setup', { method: 'POST' });
+  if (r.error) return toast(_t('操作失败'), r.error);
+  $('twofa-qr').src = r.qrDataUri || '';
+  $('twofa-qr').style.display = r.qrDataUri ? '' : 'none';
+  $('twofa-secret').textContent = r.secret || '';
+  $('twofa-enroll-code').value = '';
+  $('twofa-enroll').style.display = '';
+  $('twofa-actions-off').style.display = 'none';
+  showRecoveryCodes([]);
+  $('twofa-enroll-code').focus();
+});
+
+$('btn-2fa-cancel')?.addEventListener('click', ()=>{
+  $('twofa-enroll').style.display = 'none';
+  loadTwoFactorStatus();
+});
+
+$('btn-2fa-enable')?.addEventListener('click', async ()=>{
+  const code = $('twofa-enroll-code').value.trim();
+  if (!code) return toast(_t('缺少参数'), _t('请输入验证码'));
+  const r = await api('/api/2fa/enable', { method: 'POST', body: { code } });
+  if (!r.success) return toast(_t('启用失败'), r.error || '');
+  toast(_t('两步验证已启用'), _t('请妥善保存恢复码'));
+  $('twofa-enroll').style.display = 'none';
+  showRecoveryCodes(r.recoveryCodes);
+  loadTwoFactorStatus();
+});
+
+$('btn-2fa-recovery')?.addEventListener('click', async ()=>{
+  const code = prompt(_t('请输入当前的 6 位验证码'));
+  if (!code) return;
+  const r = await api('/api/2fa/recovery-codes', { method: 'POST', body: { code } });
+  if (!r.success) return toast(_t('操作失败'), r.error || '');
+  showRecoveryCodes(r.recoveryCodes);
+  loadTwoFactorStatus();
+});
+
+$('btn-2fa-disable')?.addEventListener('click', async ()=>{
+  const password = prompt(_t('请输入当前密码'));
+  if (!password) return;
+  const code = prompt(_t('请输入当前的 6 位验证码或恢复码'));
+  if (!code) return;
+  const r = await api('/api/2fa/disable', { method: 'POST', body: { password, code } });
+  if (!r.success) return toast(_t('操作失败'), r.error || '');
+  toast(_t('两步验证已关闭'));
+  showRecoveryCodes([]);
+  loadTwoFactorStatus();
+});
+
+// ------------------------
+// Settings — active sessions
+// ------------------------
+function describeUserAgent(ua){
+  const s = String(ua || '');
+  if (!s) return _t('未知设备');
+  const browser = /Edg\//.test(s) ? 'Edge' : /Chrome\//.test(s) ? 'Chrome' : /Firefox\//.test(s) ? 'Firefox' : /Safari\//.test(s) ? 'Safari' : /curl\//.test(s) ? 'curl' : '';
+  const os = /Windows/.test(s) ? 'Windows' : /Mac OS X|Macintosh/.test(s) ? 'macOS' : /Android/.test(s) ? 'Android' : /iPhone|iPad/.test(s) ? 'iOS' : /Linux/.test(s) ? 'Linux' : '';
+  return [browser, os].filter(Boolean).join(' · ') || s.slice(0, 40);
+}
+
+async function loadWebSessions(){
+  const listEl = $('settings-sessions-list');
+  if (!listEl) return;
+  const all = $('sessions-show-all')?.checked && hasWebRole('admin');
+  const r = await api('/api/sessions' + (all ? '?all=1' : ''));
+  if (r.error) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + _t('加载失败') + '</div>';
+    return;
+  }
+  const sessions = r.sessions || [];
+  if (!sessions.length) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px">' + _t('暂无活动会话') + '</div>';
+    return;
+  }
+  listEl.innerHTML = sessions.map((sess) => {
+    const id = esc(sess.id);
+    return '<div style="display:flex;align-items:center;gap:8px;padding:8px 10px;border-bottom:1px solid var(--border);flex-wrap:wrap">'
+      + '<span style="color:' + (sess.current ? '#3fb950' : '#8b949e') + ';font-size:14px">●</span>'
+      + (r.all ? '<b>' + esc(sess.username) + '</b>' : '')
+      + '<b style="min-width:120px" title="' + esc(sess.userAgent) + '">' + esc(describeUserAgent(sess.userAgent)) + '</b>'
+      + (sess.current ? '<span class="badge" style="font-size:10px;padding:1px 6px">' + _t('当前会话') + '</span>' : '')
+      + '<span class="muted small">IP: ' + esc(sess.ip || '—') + '</span>'
+      + '<span class="muted small">' + _t('登录于') + ': ' + new Date(sess.createdAt).toLocaleString() + '</span>'
+      + '<span class="muted small">' + _t('最后活动') + ': ' + new Date(sess.lastSeenAt).toLocaleString() + '</span>'
+      + '<span style="flex:1"></span>'
+      + '<button class="btn btn-danger" data-session-revoke="' + id + '" data-current="' + (sess.current ? '1' : '0') + '" style="font-size:11px;padding:2px 8px">' + _t('注销') + '</button>'
+      + '</div>';
+  }).join('');
+  listEl.querySelectorAll('[data-session-revoke]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const isCurrent = btn.dataset.current === '1';
+      if (isCurrent && !confirm(_t('这是当前会话，注销后需要重新登录。确定继续？'))) return;
+      const res = await api('/api/sessions/' + encodeURIComponent(btn.dataset.sessionRevoke), { method: 'DELETE' });
+      if (!res.success) return toast(_t('操作失败'), res.error || '');
+      if (res.current) { location.href = '/login.html'; return; }
+      toast(_t('会话已注销'));
+      loadWebSessions();
+    });
+  });
+}
+
+$('btn-sessions-refresh')?.addEventListener('click', loadWebSessions);
+$('sessions-show-all')?.addEventListener('change', loadWebSessions);
+$('btn-sessions-revoke-others')?.addEventListener('click', async ()=>{
+  if (!confirm(_t('确定退出除当前会话外的所有会话吗？'))) return;
+  const r = await api('/api/sessions/revoke-others', { method: 'POST' });
+  if (!r.success) return toast(_t('操作失败'), r.error || '');
+  toast(_t('已退出 {0} 个会话', r.revoked || 0));
+  loadWebSessions();
+});
+
+// ------------------------
+// Settings — API tokens
+// ------------------------
+const API_TOKEN_SCOPE_LABELS = {
+  'status:read': '读取状态',
+  'logs:read': '读取日志',
+  'config:write': '修改配置',
+  'openclaw:install': '安装/更新',
+  'ai:keys:write': '管理 AI 密钥',
+  'ai:chat': '调用 AI 对话',
+  'terminal': '终端',
+  'admin': '管理'
+};
+
+function renderApiTokenScopeOptions(scopes){
+  const box = $('new-token-scopes');
+  if (!box || box.dataset.rendered) return;
+  box.dataset.rendered = '1';
+  box.innerHTML = scopes.map(s => '<label class="chip" style="cursor:pointer' + (s.allowed ? '' : ';opacity:.45') + '" title="' + esc(s.scope) + '">'
+    + '<input type="checkbox" data-token-scope="' + esc(s.scope) + '"' + (s.allowed ? '' : ' disabled') + (s.scope === 'status:read' ? ' checked' : '') + ' />'
+    + '<span>' + esc(_t(API_TOKEN_SCOPE_LABELS[s.scope] || s.scope)) + ' <code>' + esc(s.scope) + '</code></span></label>').join('');
+}
+
+async function loadApiTokens(){
+  const listEl = $('settings-tokens-list');
+  if (!listEl) return;
+  const all = $('tokens-show-all')?.checked && hasWebRole('admin');
+  const r = await api('/api/tokens' + (all ? '?all=1' : ''));
+  if (r.error) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + _t('加载失败') + '</div>';
+    return;
+  }
+  renderApiTokenScopeOptions(r.scopes || []);
+  const tokens = r.tokens || [];
+  if (!tokens.length) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px">' + _t('暂无 API 令牌') + '</div>';
+    return;
+  }
+  listEl.innerHTML = tokens.map(tk => {
+    return '<div style="display:flex;align-items:center;gap:8px;padding:8px 10px;border-bottom:1px solid var(--border);flex-wrap:wrap">'
+      + '<span style="color:' + (tk.expired ? '#8b949e' : '#3fb950') + ';font-size:14px">●</span>'
+      + (r.all ? '<b>' + esc(tk.username) + '</b>' : '')
+      + '<b style="min-width:100px">' + esc(tk.name) + '</b>'
+      + '<code class="muted small">' + esc(tk.hint) + '</code>'
+      + tk.scopes.map(s => '<span class="badge" style="font-size:10px;padding:1px 6px">' + esc(s) + '</span>').join('')
+      + (tk.expired ? '<span class="badge" style="font-size:10px;padding:1px 6px;color:#ff453a">' + _t('已过期') + '</span>' : '')
+      + '<span class="muted small">' + _t('过期') + ': ' + (tk.expiresAt ? new Date(tk.expiresAt).toLocaleDateString() : _t('永不')) + '</span>'
+      + '<span class="muted small">' + _t('最后使用') + ': ' + (tk.lastUsedAt ? new Date(tk.lastUsedAt).toLocaleString() + (tk.lastUsedIp ? ' (' + esc(tk.lastUsedIp) + ')' : '') : _t('从未')) + '</span>'
+      + '<span style="flex:1"></span>'
+      + '<button class="btn btn-danger" data-token-revoke="' + esc(tk.id) + '" data-token-name="' + esc(tk.name) + '" style="font-size:11px;padding:2px 8px">' + _t('吊销') + '</button>'
+      + '</div>';
+  }).join('');
+  listEl.querySelectorAll('[data-token-revoke]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm(_t('确定吊销令牌 {0} 吗？使用它的脚本将立即失效。', btn.dataset.tokenName))) return;
+      const res = await api('/api/tokens/' + encodeURIComponent(btn.dataset.tokenRevoke), { method: 'DELETE' });
+      if (!res.success) return toast(_t('操作失败'), res.error || '');
+      toast(_t('令牌已吊销'));
+      loadApiTokens();
+    });
+  });
+}
+
+$('btn-tokens-refresh')?.addEventListener('click', loadApiTokens);
+$('tokens-show-all')?.addEventListener('change', loadApiTokens);
+$('btn-token-create')?.addEventListener('click', async ()=>{
+  const name = $('new-token-name').value.trim();
+  const scopes = qa('[data-token-scope]').filter(el => el.checked).map(el => el.dataset.tokenScope);
+  if (!name) return toast(_t('请输入令牌名称'));
+  if (!scopes.length) return toast(_t('请至少选择一个权限范围'));
+  const r = await api('/api/tokens', { method: 'POST', body: { name, scopes, expiresInDays: Number($('new-token-expiry').value) } });
+  if (!r.success) return toast(_t('创建失败'), r.error || '');
+  $('new-token-name').value = '';
+  $('token-created-value').textContent = r.token;
+  $('token-created-box').style.display = '';
+  toast(_t('令牌已创建'));
+  loadApiTokens();
+});
+
+// ------------------------
+// Settings — single sign-on (admin)
+// ------------------------
+async function loadSsoConfig(){
+  if (!$('settings-sso-card')) return;
+  const r = await api('/api/sso/config');
+  if (r.error) return;
+  const oidc = r.oidc || {};
+  const th = r.trustedHeader || {};
+  const map = r.roleMapping || {};
+  $('sso-oidc-enabled').checked = !!oidc.enabled;
+  $('sso-oidc-issuer').value = oidc.issuer || '';
+  $('sso-oidc-client-id').value = oidc.clientId || '';
+  $('sso-oidc-client-secret').value = '';
+  $('sso-oidc-client-secret').placeholder = oidc.hasClientSecret ? _t('已保存，留空则不修改') : _t('公共客户端可留空');
+  $('sso-oidc-redirect-uri').value = oidc.redirectUri || '';
+  $('sso-oidc-redirect-uri').placeholder = r.suggestedRedirectUri || '';
+  $('sso-oidc-scopes').value = oidc.scopes || '';
+  $('sso-oidc-username-claim').value = oidc.usernameClaim || '';
+  $('sso-oidc-groups-claim').value = oidc.groupsClaim || '';
+  $('sso-oidc-button-label').value = oidc.buttonLabel || '';
+  $('sso-header-enabled').checked = !!th.enabled;
+  $('sso-header-user').value = th.userHeader || '';
+  $('sso-header-groups').value = th.groupsHeader || '';
+  $('sso-header-secret-name').value = th.secretHeader || '';
+  $('sso-header-secret').value = '';
+  $('sso-header-secret').placeholder = th.hasSecret ? _t('已保存，留空则不修改') : _t('至少 16 位，认证代理需在每个请求中携带');
+  $('sso-header-peer-hint').textContent = _t('只有来自「网络访问控制」中可信代理（当前：{0}）且携带正确共享密钥的请求才会采信用户名请求头。', (r.trustedProxies || []).join(', ') || '—');
+  $('sso-map-admin').value = (map.admin || []).join(', ');
+  $('sso-map-operator').value = (map.operator || []).join(', ');
+  $('sso-map-viewer').value = (map.viewer || []).join(', ');
+  $('sso-default-role').value = r.defaultRole || '';
+  $('sso-auto-create').checked = r.autoCreate !== false;
+}
+
+$('btn-sso-save')?.addEventListener('click', async ()=>{
+  const body = {
+    oidc: {
+      enabled: $('sso-oidc-enabled').checked,
+      issuer: $('sso-oidc-issuer').value.trim(),
+      clientId: $('sso-oidc-client-id').value.trim(),
+      clientSecret: $('sso-oidc-client-secret').value,
+      redirectUri: $('sso-oidc-redirect-uri').value.trim(),
+      scopes: $('sso-oidc-scopes').value.trim(),
+      usernameClaim: $('sso-oidc-username-claim').value.trim(),
+      groupsClaim: $('sso-oidc-groups-claim').value.trim(),
+      buttonLabel: $('sso-oidc-button-label').value.trim()
+    },
+    trustedHeader: {
+      enabled: $('sso-header-enabled').checked,
+      userHeader: $('sso-header-user').value.trim(),
+      groupsHeader: $('sso-header-groups').value.trim(),
+      secretHeader: $('sso-header-secret-name').value.trim(),
+      secret: $('sso-header-secret').value
+    },
+    roleMapping: {
+      admin: $('sso-map-admin').value,
+      operator: $('sso-map-operator').value,
+      viewer: $('sso-map-viewer').value
+    },
+    defaultRole: $('sso-default-role').value,
+    autoCreate: $('sso-auto-create').checked
+  };
+  const r = await api('/api/sso/config', { method: 'PUT', body });
+  if (!r.success) return toast(_t('保存失败'), r.error || '');
+  toast(_t('SSO 设置已保存'));
+  loadSsoConfig();
+});
+
+$('btn-sso-oidc-test')?.addEventListener('click', async ()=>{
+  const el = $('sso-oidc-test-result');
+  el.textContent = _t('检测中...');
+  const r = await api('/api/sso/oidc/test', { method: 'POST', body: { issuer: $('sso-oidc-issuer').value.trim() } });
+  el.textContent = r.success
+    ? _t('✅ 发现文档正常，签名密钥 {0} 个', r.keyCount)
+    : _t('❌ {0}', r.error || _t('请求失败'));
+});
+
+// ------------------------
+// Settings — login protection (admin)
+// ------------------------
+async function loadLoginGuard(){
+  const listEl = $('login-guard-list');
+  if (!listEl) return;
+  const r = await api('/api/login-guard');
+  if (r.error) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + _t('加载失败') + '</div>';
+    return;
+  }
+  const p = r.policy || {};
+  $('login-guard-summary').textContent = _t('同一账号或 IP 连续失败 {0} 次后锁定 {1} 秒，之后每次失败锁定时间翻倍（最长 {2} 小时）。最近一分钟全局失败 {3} 次。', p.freeFails, p.baseLockSec, Math.round((p.maxLockSec || 0) / 3600), r.globalFailuresLastMinute || 0);
+  const st = r.settings || {};
+  $('login-guard-webhook').value = st.alertWebhook || '';
+  $('login-guard-alert-threshold').value = st.alertThreshold || '';
+  $('login-guard-global-max').value = st.globalMaxFailsPerMinute || '';
+  const entries = r.entries || [];
+  if (!entries.length) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px">' + _t('暂无登录失败记录') + '</div>';
+    return;
+  }
+  listEl.innerHTML = entries.map(e => {
+    return '<div style="display:flex;align-items:center;gap:8px;padding:8px 10px;border-bottom:1px solid var(--border);flex-wrap:wrap">'
+      + '<span style="color:' + (e.locked ? '#ff453a' : '#d29922') + ';font-size:14px">●</span>'
+      + '<span class="badge" style="font-size:10px;padding:1px 6px">' + (e.kind === 'user' ? _t('账号') : 'IP') + '</span>'
+      + '<b style="min-width:120px">' + esc(e.key) + '</b>'
+      + '<span class="muted small">' + _t('失败 {0} 次', e.fails) + '</span>'
+      + (e.locked ? '<span class="muted small" style="color:#ff453a">' + _t('锁定至') + ' ' + new Date(e.lockUntil).toLocaleString() + '</span>' : '')
+      + '<span class="muted small">' + _t('最近失败') + ': ' + (e.lastAt ? new Date(e.lastAt).toLocaleString() : '—') + '</span>'
+      + '<span style="flex:1"></span>'
+      + '<button class="btn" data-guard-kind="' + esc(e.kind) + '" data-guard-key="' + esc(e.key) + '" style="font-size:11px;padding:2px 8px">' + _t('解除') + '</button>'
+      + '</div>';
+  }).join('');
+  listEl.querySelectorAll('[data-guard-kind]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const res = await api('/api/login-guard/' + encodeURIComponent(btn.dataset.guardKind) + '/' + encodeURIComponent(btn.dataset.guardKey), { method: 'DELETE' });
+      if (!res.success) return toast(_t('操作失败'), res.error || '');
+      toast(_t('已解除锁定'));
+      loadLoginGuard();
+    });
+  });
+}
+
+$('btn-login-guard-refresh')?.addEventListener('click', loadLoginGuard);
+$('btn-login-guard-clear')?.addEventListener('click', async ()=>{
+  if (!confirm(_t('确定清除所有登录失败记录和锁定吗？'))) return;
+  const r = await api('/api/login-guard', { method: 'DELETE' });
+  if (!r.success) return toast(_t('操作失败'), r.error || '');
+  toast(_t('已清除 {0} 条记录', r.cleared));
+  loadLoginGuard();
+});
+$('btn-login-guard-save')?.addEventListener('click', async ()=>{
+  const body = {
+    alertWebhook: $('login-guard-webhook').value.trim(),
+    alertThreshold: Number($('login-guard-alert-threshold').value) || undefined,
+    globalMaxFailsPerMinute: Number($('login-guard-global-max').value) || undefined
+  };
+  const r = await api('/api/login-guard/settings', { method: 'PUT', body });
+  if (!r.success) return toast(_t('保存失败'), r.error || '');
+  toast(_t('登录防护设置已保存'));
+  loadLoginGuard();
+});
+$('btn-login-guard-test')?.addEventListener('click', async ()=>{
+  const r = await api('/api/login-guard/test-alert', { method: 'POST' });
+  if (!r.success) return toast(_t('发送失败'), r.error || '');
+  toast(_t('测试告警已发送'));
+});
+
+// ------------------------
+// Settings — secret vault (admin)
+// ------------------------
+var VAULT_MODE_LABELS = { file: '随机密钥（保存在容器内）', passphrase: '由管理员口令派生（不落盘）' };
+
+function syncVaultPassphraseFields(){
+  var on = $('vault-mode')?.value === 'passphrase';
+  $('vault-passphrase-field').style.display = on ? '' : 'none';
+  $('vault-passphrase2-field').style.display = on ? '' : 'none';
+}
+
+async function loadVault(){
+  var listEl = $('vault-stores');
+  if (!listEl) return;
+  var r = await api('/api/vault');
+  if (r.error) {
+    listEl.innerHTML = '<div class="muted" style="text-align:center;padding:20px;color:#ff453a">' + _t('加载失败') + '</div>';
+    return;
+  }
+  var summary = r.locked
+    ? _t('🔒 保险库已锁定：输入口令后才能读取或保存密钥')
+    : _t('主密钥 {0} · {1} · 上次轮换 {2}', r.keyId || '—', _t(VAULT_MODE_LABELS[r.mode] || r.mode), r.rotatedAt ? new Date(r.rotatedAt).toLocaleString() : _t('从未'));
+  if (r.legacyKey) summary += ' · ' + _t('仍有旧版 .enc_key，轮换一次后删除');
+  $('vault-summary').textContent = summary;
+  $('vault-unlock-row').style.display = r.locked ? '' : 'none';
+  $('vault-mode').value = r.mode || 'file';
+  syncVaultPassphraseFields();
+  var renderStore = function(st){
+    var parts = [];
+    if (st.sealed) parts.push(_t('已加密 {0}', st.sealed));
+    if (st.legacy) parts.push(_t('旧格式 {0}', st.legacy));
+    if (st.foreign) parts.push('<span style="color:#ff453a">' + _t('无法解密 {0}', st.foreign) + '</span>');
+    if (st.plaintext) parts.push(st.sealedAtRest ? '<span style="color:#d29922">' + _t('明文 {0}', st.plaintext) + '</span>' : _t('明文 {0}（Gateway 读取）', st.plaintext));
+    return '<div style="display:flex;align-items:center;gap:8px;padding:8px 10px;border-bottom:1px solid var(--border);flex-wrap:wrap">'
+      + '<b style="min-width:220px">' + esc(serverMsg(st.label)) + '</b>'
+      + '<span class="muted small">' + _t('{0} 个文件', st.files) + '</span>'
+      + '<span class="muted small">' + (parts.join(' · ') || _t('暂无密钥')) + '</span>'
+      + '</div>';
+  };
+  var stores = r.stores || [];
+  var plainStores = stores.filter(function(st){ return !st.sealedAtRest; });
+  // Without the gateway loader these stores are not protected by the vault; keep them apart so the list doesn't suggest otherwise
+  listEl.innerHTML = stores.filter(function(st){ return st.sealedAtRest; }).map(renderStore).join('')
+    + (plainStores.length
+      ? '<div class="small" style="padding:10px 10px 4px;color:#d29922">' + _t('⚠️ 面板未随 Gateway 解密加载器（openclaw-vault-loader）启动，以下文件由 Gateway 直接读取，只能以明文保存（仅在迁移包中加密）。重启容器后即可加密。') + '</div>'
+        + plainStores.map(renderStore).join('')
+      : '');
+}
+
+$('vault-mode')?.addEventListener('change', syncVaultPassphraseFields);
+$('btn-vault-refresh')?.addEventListener('click', loadVault);
+$('btn-vault-unlock')?.addEventListener('click', async ()=>{
+  var passphrase = $('vault-unlock-passphrase').value;
+  if (!passphrase) return toast(_t('请输入保险库口令'));
+  var r = await api('/api/vault/unlock', { method: 'POST', body: { passphrase: passphrase } });
+  if (!r.success) return toast(_t('解锁失败'), serverMsg(r.error) || '');
+  $('vault-unlock-passphrase').value = '';
+  toast(_t('保险库已解锁'));
+  loadVault();
+});
+$('btn-vault-rotate')?.addEventListener('click', async ()=>{
+  var mode = $('vault-mode').value;
+  var passphrase = $('vault-passphrase').value;
+  if (mode === 'passphrase') {
+    if (passphrase.length < 12) return toast(_t('口令太短'), _t('保险库口令至少 12 位'));
+    if (passphrase !== $('vault-passphrase2').value) return toast(_t('两次输入的口令不一致'));
+    if (!confirm(_t('主密钥将由该口令派生，且不再保存在容器内。\n面板每次重启后都需要输入口令解锁，口令遗失将无法恢复已加密的密钥。\n\n确定继续？'))) return;
+  } else if (!confirm(_t('将生成新的主密钥并重新加密全部密钥，确定继续？'))) return;
+  var btn = $('btn-vault-rotate');
+  btn.disabled = true;
+  try {
+    var r = await api('/api/vault/rotate', { method: 'POST', body: { mode: mode, passphrase: mode === 'passphrase' ? passphrase : '' }, timeoutMs: 120000 });
+    if (!r.success) return toast(_t('轮换失败'), serverMsg(r.error) || '');
+    $('vault-passphrase').value = '';
+    $('vault-passphrase2').value = '';
+    toast(_t('主密钥已轮换'), _t('新密钥 {0}，重新加密 {1} 个密钥', r.keyId, r.resealed));
+    loadVault();
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// ------------------------
+// Settings — network access policy (admin)
+// ------------------------
+const ACL_SURFACES = ['ui', 'api', 'gateway', 'terminal'];
+
+async function loadAccessPolicy(){
+  if (!$('settings-acl-card')) return;
+  const r = await api('/api/access-policy');
+  if (r.error) return;
+  $('acl-trusted-proxies').value = (r.trustedProxies || []).join('\n');
+  for (const s of r.surfaces || []) {
+    if (!$(`acl-${s.id}-allow`)) continue;
+    $(`acl-${s.id}-allow`).value = (s.allow || []).join('\n');
+    $(`acl-${s.id}-deny`).value = (s.deny || []).join('\n');
+  }
+  $('acl-current-ip').textContent = r.directLoopback
+    ? _t('当前为容器内直连，不受访问控制限制')
+    : _t('面板识别到的当前客户端 IP：{0}', r.currentIp || '—');
+}
+
+$('btn-acl-save')?.addEventListener('click', async ()=>{
+  const surfaces = {};
+  for (const id of ACL_SURFACES) surfaces[id] = { allow: $(`acl-${id}-allow`).value, deny: $(`acl-${id}-deny`).value };
+  const r = await api('/api/access-policy', { method: 'PUT', body: { trustedProxies: $('acl-trusted-proxies').value, surfaces } });
+  if (!r.success) {
+    if (r.status === 409) return toast(_t('已拒绝保存'), _t('该策略会阻止你当前的地址，请先把它加入允许列表') + '\n' + r.error);
+    return toast(_t('保存失败'), r.error || '');
+  }
+  toast(_t('访问控制已保存'));
+  loadAccessPolicy();
+});
+
+// ------------------------
+// Local model runtimes
+// ------------------------
+var localPullTimers = {};
+
+function formatLocalModelSize(bytes) {
+  if (!bytes) return '';
+  return bytes >= 1073741824 ? (bytes / 1073741824).toFixed(1) + ' GB' : Math.round(bytes / 1048576) + ' MB';
+}
+
+function renderLocalModelRow(rt, m, canEdit) {
+  var tags = [];
+  if (m.contextWindow) tags.push(_t('上下文 {0}', m.contextWindow >= 1024 ? Math.round(m.contextWindow / 1024) + 'K' : m.contextWindow));
+  if (m.input && m.input.indexOf('image') !== -1) tags.push(_t('图像输入'));
+  if (m.reasoning) tags.push(_t('思考'));
+  if (m.chat === false) tags.push(_t('仅嵌入'));
+  [m.parameterSize, m.quantization, formatLocalModelSize(m.size)].forEach(function(v){ if (v) tags.push(v); });
+  var id = esc(m.id);
+  var actions = '';
+  if (canEdit) {
+    if (m.registered) actions += '<button class="btn" style="font-size:10px;padding:2px 8px" onclick="unregisterLocalModel(\''+rt.id+'\', \''+id+'\')">'+_t('取消注册')+'</button>';
+    else if (m.chat !== false) actions += '<button class="btn btn-primary" style="font-size:10px;padding:2px 8px" onclick="registerLocalModels(\''+rt.id+'\', [\''+id+'\'])">'+_t('注册')+'</button>';
+    if (rt.id === 'ollama' && !m.registered) actions += '<button class="btn btn-danger" style="font-size:10px;padding:2px 8px" onclick="removeOllamaModel(\''+id+'\')">'+_t('删除')+'</button>';
+  }
+  return '<div style="display:flex;align-items:center;gap:10px;padding:5px 0;border-top:1px solid var(--line);flex-wrap:wrap">'
+    + '<div style="min-width:200px;flex:1"><span style="font-weight:600;font-size:12px;font-family:var(--mono)">'+esc(m.id)+'</span>'
+    + (m.registered ? ' <span style="padding:1px 6px;border-radius:8px;font-size:10px;background:#22c55e26;color:#22c55e">'+_t(m.inUse ? '已注册 · 使用中' : '已注册')+'</span>' : '')
+    + '<div class="muted small">'+esc(tags.join(' · '))+'</div></div>'
+    + actions + '</div>';
+}
+
+function renderOllamaPull(task) {
+  var pct = task.total ? Math.floor(task.completed / task.total * 100) : 0;
+  var label = task.state === 'running' ? (task.status + (task.total ? ' ' + pct + '%' : ''))
+    : task.state === 'done' ? _t('完成') : task.state === 'cancelled' ? _t('已取消') : _t('失败：{0}', task.error);
+  return '<div style="display:flex;align-items:center;gap:10px;margin-top:6px">'
+    + '<span style="font-family:var(--mono);font-size:12px;min-width:160px">'+esc(task.model)+'</span>'
+    + '<div style="flex:1;height:6px;background:var(--line);border-radius:3px;overflow:hidden"><div style="height:100%;width:'+(task.state === 'done' ? 100 : pct)+'%;background:'+(task.state === 'failed' ? '#ef4444' : '#6366f1')+'"></div></div>'
+    + '<span class="muted small" style="min-width:140px">'+esc(label)+'</span>'
+    + (task.state === 'running' ? '<button class="btn" style="font-size:10px;padding:2px 8px" onclick="cancelOllamaPull(\''+task.id+'\')">'+_t('取消')+'</button>' : '')
+    + '</div>';
+}
+
+async function loadLocalModels() {
+  $('local-models-list').innerHTML = '<div class="muted small">' + _t('正在检测本地运行时...') + '</div>';
+  var r = await api('/api/ai/local', { timeoutMs: 90000 });
+  if (r.error) { $('local-models-list').innerHTML = '<div class="muted small">' + esc(_t('读取失败：{0}', r.error)) + '</div>'; return; }
+  var canEdit = hasWebRole('operator');
+  $('local-models-list').innerHTML = r.runtimes.map(function(rt) {
+    var head = '<div class="row" style="justify-content:space-between;margin-top:12px">'
+      + '<div><span style="font-weight:800;font-size:14px">'+esc(rt.label)+'</span> '
+      + (rt.running
+        ? '<span style="padding:1px 8px;border-radius:10px;font-size:11px;background:#22c55e26;color:#22c55e">'+_t('运行中')+'</span> <span class="muted small" style="font-family:var(--mono)">'+esc(rt.baseUrl)+(rt.version ? ' · v' + esc(rt.version) : '')+'</span>'
+        : '<span style="padding:1px 8px;border-radius:10px;font-size:11px;background:#8b949e26;color:#8b949e" title="'+esc(rt.error || '')+'">'+_t('未检测到')+'</span>')
+      + '</div>'
+      + (canEdit ? '<button class="btn" style="font-size:11px;padding:2px 8px" onclick="editLocalRuntimeAddress(\''+rt.id+'\')">'+_t('地址')+'</button>' : '')
+      + '</div>';
+    var body = '';
+    if (rt.running) {
+      var unregistered = rt.models.filter(function(m){ return !m.registered && m.chat !== false; });
+      if (canEdit && unregistered.length > 1) {
+        body += '<div style="margin-top:6px"><button class="btn" style="font-size:11px;padding:2px 8px" onclick=\'registerLocalModels("'+rt.id+'", '+esc(JSON.stringify(unregistered.map(function(m){ return m.id; })))+')\'>'+_t('全部注册（{0}）', unregistered.length)+'</button></div>';
+      }
+      body += rt.models.length ? rt.models.map(function(m){ return renderLocalModelRow(rt, m, canEdit); }).join('') : '<div class="muted small" style="margin-top:6px">'+_t('尚未安装模型')+'</div>';
+    }
+    if (rt.missing && rt.missing.length) body += '<div class="muted small" style="margin-top:6px;color:#f59e0b">'+esc(_t('已注册但运行时未报告：{0}', rt.missing.join(', ')))+'</div>';
+    if (rt.id === 'ollama' && rt.running && canEdit) {
+      body += '<div class="row" style="gap:6px;margin-top:8px;flex-wrap:nowrap"><input class="input" id="local-ollama-pull-name" placeholder="'+_t('拉取模型，如 llama3.2 或 qwen2.5:7b')+'" style="flex:1" />'
+        + '<button class="btn btn-primary" style="font-size:12px" onclick="pullOllamaModel()">'+_t('拉取')+'</button></div><div id="local-ollama-pulls"></div>';
+    }
+    return head + body;
+  }).join('');
+  var pulls = $('local-ollama-pulls');
+  if (pulls) {
+    pulls.innerHTML = r.pulls.map(function(t){ return '<div id="local-pull-'+t.id+'">'+renderOllamaPull(t)+'</div>'; }).join('');
+    r.pulls.forEach(function(t){ if (t.state === 'running') pollOllamaPull(t.id); });
+  }
+}
+
+async function registerLocalModels(runtime, models) {
+  var r = await api('/api/ai/local/register', { method: 'POST', body: { runtime: runtime, models: models } });
+  if (r.error) { toast(_t('注册失败'), r.error); return; }
+  toast(_t('注册成功'), r.message);
+  appendAiAuthLog(_t('[local] 已注册 {0}', r.registered.join(', ')), 'success');
+  loadLocalModels();
+  loadAIConfig();
+}
+
+async function unregisterLocalModel(runtime, model) {
+  if (!confirm(_t('取消注册 {0}？', runtime + '/' + model))) return;
+  var r = await api('/api/ai/local/register', { method: 'DELETE', body: { runtime: runtime, model: model } });
+  if (r.error) { toast(_t('操作失败'), r.error); return; }
+  toast(_t('已取消注册'), r.message);
+  loadLocalModels();
+  loadAIConfig();
+}
+
+async function removeOllamaModel(model) {
+  if (!confirm(_t('从 Ollama 删除 {0}？模型文件会被移除。', model))) return;
+  var r = await api('/api/ai/local/ollama/models', { method: 'DELETE', body: { model: model } });
+  if (r.error) { toast(_t('删除失败'), r.error); return; }
+  toast(_t('已删除'), model);
+  loadLocalModels();
+}
+
+async function pullOllamaModel() {
+  var model = $('local-ollama-pull-name').value.trim();
+  if (!model) return;
+  var r = await api('/api/ai/local/ollama/pull', { method: 'POST', body: { model: model } });
+  if (r.error) { toast(_t('拉取失败'), r.error); return; }
+  $('local-ollama-pull-name').value = '';
+  if (!$('local-pull-' + r.taskId)) {
+    var row = document.createElement('div');
+    row.id = 'local-pull-' + r.taskId;
+    $('local-ollama-pulls').appendChild(row);
+  }
+  pollOllamaPull(r.taskId);
+}
+
+async function pollOllamaPull(taskId) {
+  clearTimeout(localPullTimers[taskId]);
+  var task = await api('/api/ai/local/ollama/pull/' + encodeURIComponent(taskId));
+  var row = $('local-pull-' + taskId);
+  if (task.error && !task.id) return;
+  if (row) row.innerHTML = renderOllamaPull(task);
+  if (task.state === 'running') {
+    if (getRouteFromHash() === 'openclaw-ai') localPullTimers[taskId] = setTimeout(function(){ pollOllamaPull(taskId); }, 1000);
+    return;
+  }
+  if (task.state === 'done') {
+    toast(_t('拉取完成'), task.model);
+    loadLocalModels();
+  } else if (task.state === 'failed') {
+    toast(_t('拉取失败'), task.error);
+  }
+}
+
+async function cancelOllamaPull(taskId) {
+  await api('/api/ai/local/ollama/pull/' + encodeURIComponent(taskId), { method: 'DELETE' });
+  pollOllamaPull(taskId);
+}
+
+async function editLocalRuntimeAddress(runtime) {
+  var v = prompt(_t('{0} 地址（留空表示自动检测）', runtime), '');
+  if (v === null) return;
+  var r = await api('/api/ai/local/settings', { method: 'PUT', body: { runtime: runtime, baseUrl: v.trim() } });
+  if (r.error) { toast(_t('保存失败'), r.error); return; }
+  loadLocalModels();
+}
+
+// ------------------------
+// Model routing (fallback chains & rules)
+// ------------------------
+function formatModelChain(chain) {
+  return chain ? [chain.primary].concat(chain.fallbacks || []).join(' → ') : '';
+}
+
+function parseModelChain(text) {
+  return String(text || '').split(/\s*(?:→|->|,)\s*/).map(function(s){ return s.trim(); }).filter(Boolean);
+}
+
+function addModelRoutingAgentRow(id, chain) {
+  var row = document.createElement('div');
+  row.className = 'row model-routing-agent';
+  row.style.cssText = 'gap:6px;margin-bottom:6px;flex-wrap:nowrap';
+  row.innerHTML = '<input class="input" data-f="id" list="model-routing-agent-ids" placeholder="'+_t('Agent ID')+'" style="width:160px" value="'+esc(id || '')+'" />'
+    + '<input class="input" data-f="chain" list="model-routing-models" placeholder="provider/model → provider/fallback" style="flex:1" value="'+esc(formatModelChain(chain))+'" />'
+    + '<button class="btn" style="font-size:11px;padding:2px 8px" onclick="this.parentElement.remove()">✕</button>';
+  $('model-routing-agents').appendChild(row);
+}
+
+function addModelRoutingChannelRow(rule) {
+  rule = rule || {};
+  var row = document.createElement('div');
+  row.className = 'row model-routing-channel';
+  row.style.cssText = 'gap:6px;margin-bottom:6px;flex-wrap:nowrap;align-items:center';
+  row.innerHTML = '<input class="input" data-f="channel" list="model-routing-channel-ids" placeholder="'+_t('渠道，如 discord')+'" style="width:160px" value="'+esc(rule.channel || '')+'" />'
+    + '<input class="input" data-f="accountId" placeholder="'+_t('账号（可选）')+'" style="width:160px" value="'+esc(rule.accountId || '')+'" />'
+    + '<span class="muted">→</span>'
+    + '<input class="input" data-f="agentId" list="model-routing-agent-ids" placeholder="'+_t('Agent ID')+'" style="flex:1" value="'+esc(rule.agentId || '')+'" />'
+    + '<button class="btn" style="font-size:11px;padding:2px 8px" onclick="this.parentElement.remove()">✕</button>';
+  $('model-routing-channels').appendChild(row);
+}
+
+async function loadModelRouting() {
+  var r = await api('/api/ai/routing');
+  if (r.error) { $('model-routing-note').textContent = _t('读取失败：{0}', r.error); return; }
+  var options = function(list) { return list.map(function(v){ return '<option value="'+esc(v)+'"></option>'; }).join(''); };
+  $('model-routing-models').innerHTML = options(r.models);
+  $('model-routing-agent-ids').innerHTML = options(['main'].concat(r.agents.map(function(a){ return a.id; }).filter(function(id){ return id !== 'main'; })));
+  $('model-routing-channel-ids').innerHTML = options(r.channels);
+  $('model-routing-default').value = formatModelChain(r.defaults);
+  $('model-routing-agents').innerHTML = '';
+  r.agents.filter(function(a){ return a.chain; }).forEach(function(a){ addModelRoutingAgentRow(a.id, a.chain); });
+  $('model-routing-channels').innerHTML = '';
+  r.channelRules.forEach(function(rule){ addModelRoutingChannelRow(rule); });
+  var plain = r.agents.filter(function(a){ return !a.chain; }).map(function(a){ return a.id; });
+  $('model-routing-note').textContent = _t('最多 {0} 个 Fallback。', r.limits.fallbacks)
+    + (plain.length ? ' ' + _t('未设置规则的 Agent 使用默认模型链：{0}。', plain.join(', ')) : '')
+    + (r.otherBindings ? ' ' + _t('另有 {0} 条按会话 / 群组匹配的路由未在此显示，保存时保持不变。', r.otherBindings) : '')
+    + ' ' + _t('新 Agent 会使用独立的工作区和会话记录。');
+}
+
+async function saveModelRouting() {
+  var field = function(row, f) { return row.querySelector('[data-f="'+f+'"]').value.trim(); };
+  var agents = Array.prototype.map.call(document.querySelectorAll('#model-routing-agents .model-routing-agent'), function(row) {
+    return { id: field(row, 'id'), chain: parseModelChain(field(row, 'chain')) };
+  }).filter(function(a){ return a.id || a.chain.length; });
+  var channelRules = Array.prototype.map.call(document.querySelectorAll('#model-routing-channels .model-routing-channel'), function(row) {
+    return { channel: field(row, 'channel'), accountId: field(row, 'accountId'), agentId: field(row, 'agentId') };
+  }).filter(function(c){ return c.channel || c.agentId; });
+  var r = await api('/api/ai/routing', { method: 'PUT', body: {
+    defaults: parseModelChain($('model-routing-default').value),
+    agents: agents,
+    channelRules: channelRules
+  } });
+  if (r.error) {
+    toast(_t('保存失败'), r.error);
+    appendAiAuthLog(_t('[routing] 保存失败: {0}', r.error), 'error');
+    return;
+  }
+  toast(_t('保存成功'), r.message || _t('模型路由已保存'));
+  appendAiAuthLog(_t('[routing] {0}', r.message || _t('模型路由已保存')), 'success');
+  loadModelRouting();
+  loadAIConfig();
+}
+
+// ------------------------
+// Model health probes
+// ------------------------
+var MODEL_HEALTH_BADGES = {
+  healthy: ['健康', '#22c55e'],
+  degraded: ['降级', '#f59e0b'],
+  failing: ['故障', '#ef4444'],
+  unknown: ['未探测', '#8b949e']
+};
+var modelHealthPollTimer = null;
+
+function renderLatencySparkline(history) {
+  var w = 120, h = 24;
+  var points = history.slice(-30);
+  if (!points.length) return '';
+  var peak = Math.max.apply(null, points.map(function(p){ return p.ms || 0; }).concat([1]));
+  var step = points.length > 1 ? w / (points.length - 1) : 0;
+  var xy = points.map(function(p, i) { return [Math.round(i * step * 10) / 10, Math.round((h - 2 - (p.ms || 0) / peak * (h - 4)) * 10) / 10]; });
+  var line = points.length > 1 ? '<polyline fill="none" stroke="#6366f1" stroke-width="1.5" points="'+xy.map(function(c){ return c.join(','); }).join(' ')+'"/>' : '';
+  var fails = points.map(function(p, i) { return p.ok ? '' : '<circle cx="'+xy[i][0]+'" cy="'+xy[i][1]+'" r="2" fill="#ef4444"/>'; }).join('');
+  return '<svg width="'+w+'" height="'+h+'" viewBox="-2 0 '+(w + 4)+' '+h+'" style="vertical-align:middle">'+line+fails+'</svg>';
+}
+
+async function loadModelHealth() {
+  var r = await api('/api/ai/health');
+  if (r.error) { $('model-health-summary').textContent = _t('读取失败：{0}', r.error); return; }
+  var s = r.settings;
+  var counts = {};
+  r.models.forEach(function(m){ counts[m.status] = (counts[m.status] || 0) + 1; });
+  $('model-health-summary').textContent = (s.enabled ? _t('每 {0} 分钟探测一次', s.intervalMinutes) : _t('定时探测已停用'))
+    + ' · ' + _t('上次探测：{0}', r.lastRunAt ? new Date(r.lastRunAt).toLocaleString() : _t('从未'))
+    + (r.running ? ' · ' + _t('正在探测...') : '')
+    + ' · ' + Object.keys(MODEL_HEALTH_BADGES).filter(function(k){ return counts[k]; }).map(function(k){ return _t(MODEL_HEALTH_BADGES[k][0]) + ' ' + counts[k]; }).join(' / ');
+  if (!r.models.length) {
+    $('model-health-list').innerHTML = '<div class="muted small">' + _t('尚未配置模型') + '</div>';
+  } else {
+    var canProbe = hasWebRole('operator');
+    $('model-health-list').innerHTML = r.models.map(function(m) {
+      var badge = MODEL_HEALTH_BADGES[m.status] || MODEL_HEALTH_BADGES.unknown;
+      var last = m.last;
+      var detail = !last ? _t('暂无记录')
+        : (last.ok ? last.ms + ' ms · HTTP ' + last.status : last.errorClass + ' · ' + (last.status ? 'HTTP ' + last.status : _t('无响应')))
+          + ' · ' + new Date(last.t).toLocaleString();
+      var tip = last && !last.ok ? last.error || '' : '';
+      var avg = m.history.filter(function(p){ return p.ok; });
+      avg = avg.length ? Math.round(avg.reduce(function(sum, p){ return sum + p.ms; }, 0) / avg.length) : 0;
+      return '<div style="display:flex;align-items:center;gap:12px;padding:6px 0;border-top:1px solid var(--line);flex-wrap:wrap">'
+        + '<span style="padding:1px 8px;border-radius:10px;font-size:11px;min-width:48px;text-align:center;background:'+badge[1]+'26;color:'+badge[1]+'">'+_t(badge[0])+'</span>'
+        + '<div style="min-width:220px;flex:1"><div style="font-weight:600;font-size:12px;font-family:var(--mono)">'+esc(m.model)+'</div>'
+        + '<div class="muted small" title="'+esc(tip)+'">'+esc(detail)+'</div></div>'
+        + '<div class="muted small" style="min-width:130px">'+(m.uptime == null ? '' : _t('可用率 {0}%', m.uptime) + (avg ? ' · ' + _t('均值 {0} ms', avg) : ''))+'</div>'
+        + renderLatencySparkline(m.history)
+        + (canProbe ? '<button class="btn" style="font-size:10px;padding:2px 8px" onclick="probeModelNow(\''+esc(m.model)+'\', this)">'+_t('探测')+'</button>' : '')
+        + '</div>';
+    }).join('');
+  }
+  // Keep refreshing while a background pass is running
+  clearTimeout(modelHealthPollTimer);
+  if (r.running && getRouteFromHash() === 'openclaw-ai') modelHealthPollTimer = setTimeout(loadModelHealth, 3000);
+}
+
+async function probeModelNow(model, btn) {
+  if (btn) { btn.disabled = true; btn.textContent = _t('探测中...'); }
+  var r = await api('/api/ai/health/probe', { method: 'POST', body: { model: model }, timeoutMs: 60000 });
+  if (r.error) toast(_t('探测失败'), r.error);
+  loadModelHealth();
+}
+
+async function probeAllModels() {
+  var r = await api('/api/ai/health/probe', { method: 'POST', body: {} });
+  if (r.error) { toast(_t('探测失败'), r.error); return; }
+  toast(_t('已开始探测全部模型'));
+  loadModelHealth();
+}
+
+async function editModelHealthSettings() {
+  var r = await api('/api/ai/health');
+  if (r.error) { toast(_t('加载失败'), r.error); return; }
+  var s = r.settings;
+  var v = prompt(_t('探测间隔（分钟，5-1440，0 表示停用） / 慢响应阈值（毫秒）'), (s.enabled ? s.intervalMinutes : 0) + ' / ' + s.slowMs);
+  if (v === null) return;
+  var m = v.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!m) { toast(_t('格式错误'), _t('请输入两个数字，用 / 分隔')); return; }
+  var minutes = Number(m[1]);
+  if (minutes > 0 && (!s.enabled || minutes < s.intervalMinutes)) {
+    var calls = Math.ceil(24 * 60 / minutes) * r.models.length;
+    if (!confirm(_t('定时探测会每 {0} 分钟向 {1} 个模型各发送一次真实请求（约每天 {2} 次计费调用）。\n\n确定启用？', minutes, r.models.length, calls))) return;
+  }
+  var body = { enabled: minutes > 0, slowMs: Number(m[2]) };
+  if (minutes > 0) body.intervalMinutes = minutes;
+  var resp = await api('/api/ai/health/settings', { method: 'PUT', body: body });
+  if (resp.error) { toast(_t('保存失败'), resp.error); return; }
+  toast(_t('探测设置已保存'));
+  loadModelHealth();
+}
+
+// ------------------------
+// Model usage & cost
+// ------------------------
+var modelBudgetDismissed = '';
+
+function formatModelCost(n, currency) {
+  var v = Number(n || 0);
+  return (currency || 'USD') + ' ' + v.toFixed(v >= 100 ? 0 : (v >= 1 ? 2 : 4));
+}
+
+function renderModelUsageBars(el, rows, labelOf, currency, showLabels) {
+  var num = function(n) { return Number(n || 0).toLocaleString(); };
+  var tokens = function(r) { return r.input + r.output + r.cacheRead + r.cacheWrite; };
+  // Without any priced usage the bars fall back to token counts
+  var byCost = rows.some(function(r){ return r.cost > 0; });
+  var value = byCost ? function(r){ return r.cost; } : tokens;
+  var peak = Math.max.apply(null, rows.map(value).concat([0])) || 1;
+  var height = showLabels ? 64 : 80;
+  el.innerHTML = rows.map(function(r) {
+    var v = value(r);
+    var tip = labelOf(r) + ' · ' + _t('{0} 次请求', r.requests) + ' · ' + _t('输入 {0} / 输出 {1} tokens', num(r.input), num(r.output))
+      + (r.cacheRead || r.cacheWrite ? ' · ' + _t('缓存 {0} tokens', num(r.cacheRead + r.cacheWrite)) : '') + ' · ' + formatModelCost(r.cost, currency);
+    return '<div title="'+esc(tip)+'" style="flex:1;min-width:0;display:flex;flex-direction:column;justify-content:flex-end;height:80px">'
+      + '<div style="height:'+(v ? Math.max(2, Math.round(v / peak * height)) : 1)+'px;background:'+(v ? '#6366f1' : 'var(--line)')+';border-radius:2px"></div>'
+      + (showLabels ? '<div class="muted" style="font-size:10px;text-align:center;margin-top:2px;white-space:nowrap;overflow:hidden">'+esc(labelOf(r))+'</div>' : '')
+      + '</div>';
+  }).join('');
+}
+
+function renderModelUsageTable(rows, columns) {
+  if (!rows.length) return '<div class="muted small">' + _t('暂无数据') + '</div>';
+  var cell = 'style="padding:6px 8px;text-align:left"';
+  return '<table style="width:100%;border-collapse:collapse;font-size:12px">'
+    + '<tr style="border-bottom:1px solid var(--line);color:#8b949e">' + columns.map(function(c){ return '<th '+cell+'>'+c[0]+'</th>'; }).join('') + '</tr>'
+    + rows.map(function(r) {
+      return '<tr style="border-bottom:1px solid var(--line)">' + columns.map(function(c){ return '<td '+cell+'>'+c[1](r)+'</td>'; }).join('') + '</tr>';
+    }).join('')
+    + '</table>';
+}
+
+async function loadModelUsage() {
+  var days = Number($('model-usage-days')?.value || 30);
+  var r = await api('/api/ai/usage?days=' + days + '&months=12');
+  if (r.error) { $('model-usage-summary').textContent = _t('读取失败：{0}', r.error); return; }
+  var cur = r.currency;
+  var num = function(n) { return Number(n || 0).toLocaleString(); };
+  var total = r.daily.reduce(function(s, d) { return { cost: s.cost + d.cost, requests: s.requests + d.requests, tokens: s.tokens + d.input + d.output + d.cacheRead + d.cacheWrite }; }, { cost: 0, requests: 0, tokens: 0 });
+  var month = r.monthly[r.monthly.length - 1] || { cost: 0 };
+  var budgetText = function(label, b) { return b.limit ? ' · ' + _t('{0}预算 {1}%', label, b.percent) : ''; };
+  $('model-usage-summary').textContent = _t('近 {0} 天：{1} 次请求，{2} tokens，{3}', days, num(total.requests), num(total.tokens), formatModelCost(total.cost, cur))
+    + ' · ' + _t('本月 {0}', formatModelCost(month.cost, cur))
+    + budgetText(_t('今日'), r.budget.daily) + budgetText(_t('本月'), r.budget.monthly)
+    + (r.unpriced.length ? ' · ' + _t('未定价：{0}', r.unpriced.join(', ')) : '');
+  renderModelUsageBars($('model-usage-daily'), r.daily, function(d){ return d.date; }, cur, false);
+  renderModelUsageBars($('model-usage-monthly'), r.monthly, function(m){ return m.month; }, cur, true);
+  var sourceLabel = { custom: _t('自定义'), config: _t('模型配置'), catalog: _t('内置目录'), logged: _t('会话记录'), none: _t('未定价') };
+  $('model-usage-by-model').innerHTML = renderModelUsageTable(r.byModel, [
+    [_t('模型'), function(m){ return '<span style="font-weight:600">'+esc(m.provider + '/' + m.model)+'</span>'; }],
+    [_t('请求'), function(m){ return num(m.requests); }],
+    [_t('输入'), function(m){ return num(m.input); }],
+    [_t('输出'), function(m){ return num(m.output); }],
+    [_t('缓存'), function(m){ return num(m.cacheRead + m.cacheWrite); }],
+    [_t('费用'), function(m){ return formatModelCost(m.cost, cur) + ' <span class="muted small">'+esc(sourceLabel[m.priceSource] || '')+'</span>'; }]
+  ]);
+  $('model-usage-by-channel').innerHTML = renderModelUsageTable(r.byChannel, [
+    [_t('渠道'), function(c){ return esc(c.channel); }],
+    [_t('请求'), function(c){ return num(c.requests); }],
+    ['Tokens', function(c){ return num(c.input + c.output + c.cacheRead + c.cacheWrite); }],
+    [_t('费用'), function(c){ return formatModelCost(c.cost, cur); }]
+  ]);
+  renderModelBudgetBanner({ currency: cur, daily: r.budget.daily, monthly: r.budget.monthly });
+}
+
+function exportModelUsageCsv() {
+  var days = Number($('model-usage-days')?.value || 30);
+  window.location.href = '/api/ai/usage/export.csv?days=' + days;
+}
+
+async function toggleModelUsageSettings() {
+  var box = $('model-usage-settings');
+  if (box.style.display !== 'none') { box.style.display = 'none'; return; }
+  var r = await api('/api/ai/usage/settings');
+  if (r.error) { toast(_t('加载失败'), r.error); return; }
+  $('model-usage-prices').value = Object.keys(r.prices || {}).map(function(k) {
+    var p = r.prices[k];
+    var cols = [p.input, p.output];
+    if (p.cacheRead || p.cacheWrite) cols.push(p.cacheRead || 0, p.cacheWrite || 0);
+    return k + ' ' + cols.join(' ');
+  }).join('\n');
+  $('model-usage-currency').value = r.currency || 'USD';
+  $('model-usage-usd-rate').value = r.usdRate || 1;
+  $('model-usage-budget-daily').value = r.budgets.daily || 0;
+  $('model-usage-budget-monthly').value = r.budgets.monthly || 0;
+  $('model-usage-warn-at').value = r.budgets.warnAt || 80;
+  box.style.display = 'block';
+}
+
+async function saveModelUsageSettings() {
+  var prices = {};
+  var lines = $('model-usage-prices').value.split('\n').map(function(s){ return s.trim(); }).filter(Boolean);
+  for (var i = 0; i < lines.length; i++) {
+    var parts = lines[i].split(/\s+/);
+    var nums = parts.slice(1).map(Number);
+    if (parts.length < 3 || parts.length > 5 || nums.some(function(n){ return !isFinite(n) || n < 0; })) {
+      toast(_t('格式错误'), _t('第 {0} 行：{1}', i + 1, lines[i]));
+      return;
+    }
+    prices[parts[0]] = { input: nums[0], output: nums[1], cacheRead: nums[2] || 0, cacheWrite: nums[3] || 0 };
+  }
+  var r = await api('/api/ai/usage/settings', { method: 'PUT', body: {
+    currency: $('model-usage-currency').value.trim() || 'USD',
+    usdRate: Number($('model-usage-usd-rate').value) || 1,
+    prices: prices,
+    budgets: {
+      daily: Number($('model-usage-budget-daily').value) || 0,
+      monthly: Number($('model-usage-budget-monthly').value) || 0,
+      warnAt: Number($('model-usage-warn-at').value) || 80
+    }
+  } });
+  if (r.error) { toast(_t('保存失败'), r.error); return; }
+  toast(_t('价格与预算已保存'));
+  loadModelUsage();
+}
+
+function renderModelBudgetBanner(b) {
+  var el = $('model-budget-banner');
+  if (!el || !b) return;
+  var parts = [];
+  var levels = [];
+  [['daily', _t('今日')], ['monthly', _t('本月')]].forEach(function(p) {
+    var s = b[p[0]];
+    if (!s || (s.level !== 'warn' && s.level !== 'over')) return;
+    levels.push(p[0] + ':' + s.level);
+    parts.push(_t('{0}模型费用 {1}，已达预算 {2} 的 {3}%', p[1], formatModelCost(s.spent, b.currency), formatModelCost(s.limit, b.currency), s.percent));
+  });
+  var key = levels.join('|');
+  el.dataset.key = key;
+  if (!parts.length || key === modelBudgetDismissed) { el.style.display = 'none'; return; }
+  var over = levels.some(function(l){ return /:over$/.test(l); });
+  el.style.background = over ? 'rgba(239,68,68,.12)' : 'rgba(245,158,11,.12)';
+  el.style.borderColor = over ? '#ef4444' : '#f59e0b';
+  $('model-budget-text').textContent = (over ? '⛔ ' : '⚠️ ') + parts.join('；');
+  el.style.display = 'block';
+}
+
+async function refreshModelBudgetBanner() {
+  var r = await api('/api/ai/usage/budget');
+  if (!r.error) renderModelBudgetBanner(r);
+}
+
+// Stays hidden until the budget state changes (e.g. warn → over)
+function dismissModelBudgetBanner() {
+  var el = $('model-budget-banner');
+  modelBudgetDismissed = el.dataset.key || '';
+  el.style.display = 'none';
+}
+
 // ------------------------
 // Logout
 // ------------------------
@@ -5389,6 +6648,7 @@ $('btn-logout').addEventListener('click', async ()=>{
 // ------------------------
 // Init (deferred to ensure all let/const declarations are initialized)
 // ------------------------
+loadCurrentUser();
 setTimeout(function(){
   const _initRoute = getRouteFromHash();
   setActiveRoute(_initRoute);
@@ -5410,6 +6670,8 @@ if (getRouteFromHash() !== 'openclaw-engine') {
 
 // Periodic update check every 30 minutes
 setInterval(() => checkForUpdate(), 30 * 60 * 1000);
+setTimeout(() => refreshModelBudgetBanner(), 5000);
+setInterval(() => refreshModelBudgetBanner(), 5 * 60 * 1000);
 setInterval(() => {
   const route = getRouteFromHash();
   if (route !== 'openclaw-engine') refreshOpenClaw({ retries: 0 });
@@ -5444,22 +6706,13 @@ window._i18nRefresh = function() {
 })();
 
 // ===================== APP CENTER =====================
-// App catalog: available apps
-const APP_CATALOG = [
-  {
-    id: 'jiangsu-physics',
-    name: '江苏高考物理知识网站',
-    icon: '⚛️',
-    description: '涵盖高中全部物理知识的交互式学习平台，支持知识图谱、交互动画、AI智能出题和成绩追踪',
-    version: '2.7.0',
-    features: ['知识图谱', '交互动画', 'AI高考卷', '成绩追踪', '学习档案'],
-    category: 'education',
-    repo: 'https://github.com/cintia09/jiangsu-physics-knowledge',
-    port: 8080,
-    entryPath: '/apps/jiangsu-physics/',
-    displayName: '江苏高考物理知识网站'
-  }
-];
+// App catalog: merged by the server from the configured catalog sources
+let _appCatalog = [];
+let _appCatalogCategory = '';
+
+function findCatalogApp(appId) {
+  return _appCatalog.find(function(a){ return a.id === appId; });
+}
 
 // Operation log
 let _appCenterLogs = [];
@@ -5471,48 +6724,57 @@ function appLog(msg) {
   if (logEl) { logEl.textContent = _appCenterLogs.join('\n'); logEl.scrollTop = logEl.scrollHeight; }
 }
 
-async function refreshAppCenter() {
+async function refreshAppCenter(refresh) {
   var container = $('app-center-catalog');
   if (!container) return;
   container.innerHTML = '<div style="grid-column:span 12;text-align:center;padding:20px;color:var(--dim)">扫描中...</div>';
   appLog('正在扫描已安装的应用...');
 
-  var installedApps = [];
   try {
-    var data = await api('/api/app-center/list');
-    installedApps = data.apps || [];
-    appLog('扫描完成，发现 ' + installedApps.length + ' 个已安装应用');
-  } catch(e) { appLog('⚠ 扫描失败: ' + e.message); }
-
-  var installedMap = {};
-  installedApps.forEach(function(a) { installedMap[a.name] = a; });
-
-  // Check latest versions from GitHub Releases API (non-blocking)
-  var latestVersions = {};
-  try {
-    var checks = APP_CATALOG.filter(function(a){ return a.repo; }).map(function(app) {
-      var repoPath = app.repo.replace('https://github.com/','');
-      return fetch('https://api.github.com/repos/'+repoPath+'/releases/latest', {headers:{'Accept':'application/vnd.github.v3+json'}})
-        .then(function(r){ return r.ok ? r.json() : null; })
-        .then(function(d){ if(d && d.tag_name) latestVersions[app.id] = d.tag_name.replace(/^v/,''); })
-        .catch(function(){});
+    var data = await api('/api/app-center/catalog' + (refresh ? '?refresh=1' : ''));
+    if (data.error) throw new Error(data.error);
+    _appCatalog = data.apps || [];
+    var installedCount = _appCatalog.filter(function(a){ return a.installed; }).length;
+    appLog('扫描完成，发现 ' + installedCount + ' 个已安装应用');
+    (data.sources || []).forEach(function(src) {
+      if (src.error) appLog('⚠ 应用目录 ' + src.source + ': ' + src.error);
+      else if (src.warning) appLog('⚠ 应用目录 ' + src.source + ': ' + src.warning);
+      (src.errors || []).forEach(function(err) { appLog('⚠ 应用目录 ' + src.source + ': ' + err); });
     });
-    await Promise.all(checks);
-  } catch(e) { console.log('Version check skipped:', e.message); }
+    renderAppPortRange(data.portRange);
+    renderAppCategories(data.categories || []);
+    renderAppCatalogSources(data.sources || []);
+  } catch(e) { appLog('⚠ 扫描失败: ' + e.message); }
+  renderAppCatalog();
+  loadAppAiUsage();
+}
 
-  container.innerHTML = APP_CATALOG.map(function(app) {
-    var installed = installedMap[app.id];
+function renderAppCatalog() {
+  var container = $('app-center-catalog');
+  if (!container) return;
+  var visible = _appCatalog.filter(function(a){ return !_appCatalogCategory || a.category === _appCatalogCategory; });
+  if (!visible.length) {
+    container.innerHTML = '<div style="grid-column:span 12;text-align:center;padding:20px;color:var(--dim)">'+_t('目录中没有应用')+'</div>';
+    return;
+  }
+  container.innerHTML = visible.map(function(app) {
+    var installed = app.installed ? app : null;
     var isInstalled = !!installed;
-    var isRunning = installed && installed.status === 'running';
+    var runtime = (installed && installed.runtime) || {};
+    var isRunning = installed && (installed.status === 'running' || installed.status === 'starting');
     var isStopped = installed && installed.status === 'stopped';
-    var latestVer = latestVersions[app.id] || '';
-    var displayVer = latestVer || app.version;
-    var hasNewVersion = latestVer && latestVer !== app.version && latestVer > app.version;
+    var displayVer = app.version || app.installedVersion;
+    var hasNewVersion = app.upgradeAvailable;
 
     // Status badge
     var statusHtml = '';
-    if (isRunning) {
+    if (installed && runtime.status === 'starting') {
+      statusHtml = '<span style="display:inline-flex;align-items:center;gap:3px;padding:1px 8px;border-radius:10px;font-size:10px;font-weight:600;background:rgba(245,158,11,.15);color:#f59e0b"><span style="width:6px;height:6px;border-radius:50%;background:#f59e0b"></span>'+_t('启动中')+'</span>';
+    } else if (isRunning) {
       statusHtml = '<span style="display:inline-flex;align-items:center;gap:3px;padding:1px 8px;border-radius:10px;font-size:10px;font-weight:600;background:rgba(34,197,94,.15);color:#22c55e"><span style="width:6px;height:6px;border-radius:50%;background:#22c55e"></span>'+_t('运行中')+'</span>';
+    } else if (installed && (runtime.status === 'backoff' || runtime.status === 'failed' || runtime.status === 'unhealthy')) {
+      var rtLabel = runtime.status === 'backoff' ? _t('崩溃重启中') : (runtime.status === 'failed' ? _t('启动失败') : _t('健康检查失败'));
+      statusHtml = '<span title="'+esc(runtime.lastExit ? 'exit ' + runtime.lastExit.code + (runtime.lastExit.signal ? ' ' + runtime.lastExit.signal : '') : ((runtime.health && runtime.health.error) || ''))+'" style="display:inline-flex;align-items:center;gap:3px;padding:1px 8px;border-radius:10px;font-size:10px;font-weight:600;background:rgba(239,68,68,.15);color:#ef4444"><span style="width:6px;height:6px;border-radius:50%;background:#ef4444"></span>'+rtLabel+'</span>';
     } else if (isStopped) {
       statusHtml = '<span style="display:inline-flex;align-items:center;gap:3px;padding:1px 8px;border-radius:10px;font-size:10px;font-weight:600;background:rgba(239,68,68,.15);color:#ef4444"><span style="width:6px;height:6px;border-radius:50%;background:#ef4444"></span>'+_t('已停止')+'</span>';
     } else if (isInstalled) {
@@ -5521,59 +6783,243 @@ async function refreshAppCenter() {
 
     // Features
     var feats = (app.features || []).map(function(f) {
-      return '<span style="display:inline-block;padding:1px 6px;background:rgba(99,102,241,.1);color:#6366f1;border-radius:4px;font-size:10px;margin:1px">'+f+'</span>';
+      return '<span style="display:inline-block;padding:1px 6px;background:rgba(99,102,241,.1);color:#6366f1;border-radius:4px;font-size:10px;margin:1px">'+esc(f)+'</span>';
+    }).join('');
+    var shots = (app.screenshots || []).slice(0, 3).map(function(url) {
+      return '<a href="'+esc(url)+'" target="_blank" rel="noopener" onclick="event.stopPropagation()"><img src="'+esc(url)+'" alt="" loading="lazy" referrerpolicy="no-referrer" style="height:64px;max-width:120px;object-fit:cover;border-radius:4px;border:1px solid var(--line)"></a>';
     }).join('');
 
     // Action buttons
     var actions = '';
     var appUrl = '/apps/' + app.id + '/';
+    var logsBtn = '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();showAppLogs(\''+app.id+'\')">'+_t('日志')+'</button>';
+    var versionBtn = '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();pinAppVersion(\''+app.id+'\')">'+_t('版本')+'</button>'
+      + (hasWebRole('admin') ? '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();editAppGitAuth(\''+app.id+'\')">'+_t('凭据')+'</button>' : '');
     if (isInstalled && isRunning) {
       actions = '<button class="btn btn-primary" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();window.open(\''+appUrl+'\',\'_blank\')">'+_t('打开')+'</button>'
+        + '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();restartApp(\''+app.id+'\')">'+_t('重启')+'</button>'
+        + '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();stopApp(\''+app.id+'\')">'+_t('停止')+'</button>'
+        + logsBtn
         + '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();updateApp(\''+app.id+'\')">'+_t('更新')+'</button>'
+        + versionBtn
         + '<button class="btn" style="font-size:11px;padding:3px 12px;color:#ef4444;border-color:#ef4444" onclick="event.stopPropagation();uninstallApp(\''+app.id+'\')">'+_t('卸载')+'</button>';
-    } else if (isInstalled && isStopped) {
+    } else if (isInstalled) {
+      var canStop = runtime.status === 'backoff' || runtime.status === 'unhealthy';
       actions = '<button class="btn btn-primary" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();startApp(\''+app.id+'\')">'+_t('启动')+'</button>'
+        + (canStop ? '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();stopApp(\''+app.id+'\')">'+_t('停止')+'</button>' : '')
+        + logsBtn
         + '<button class="btn" style="font-size:11px;padding:3px 12px" onclick="event.stopPropagation();updateApp(\''+app.id+'\')">'+_t('更新')+'</button>'
+        + versionBtn
         + '<button class="btn" style="font-size:11px;padding:3px 12px;color:#ef4444;border-color:#ef4444" onclick="event.stopPropagation();uninstallApp(\''+app.id+'\')">'+_t('卸载')+'</button>';
-    } else if (isInstalled) {
-      actions = '<button class="btn" style="font-size:11px;padding:3px 12px;color:#ef4444;border-color:#ef4444" onclick="event.stopPropagation();uninstallApp(\''+app.id+'\')">'+_t('卸载')+'</button>';
+    } else if (app.compatible === false) {
+      actions = '<span class="dim" style="font-size:11px">'+esc(_t('需要面板 v{0} 或更高版本', app.minPanelVersion))+'</span>';
     } else {
       actions = '<button class="btn btn-primary" id="install-btn-'+app.id+'" style="font-size:11px;padding:3px 14px" onclick="event.stopPropagation();installApp(\''+app.id+'\')">'+_t('安装')+'</button>';
     }
 
     // GitHub link
-    var ghLink = app.repo ? '<a href="'+app.repo+'" target="_blank" rel="noopener" style="font-size:11px;color:var(--dim)" onclick="event.stopPropagation()">GitHub →</a>' : '';
+    var ghLink = app.repo ? '<a href="'+esc(app.repo)+'" target="_blank" rel="noopener" style="font-size:11px;color:var(--dim)" onclick="event.stopPropagation()">'+(/^https:\/\/github\.com\//.test(app.repo) ? 'GitHub' : _t('源码'))+' →</a>' : '';
 
     return '<div class="card" style="grid-column:span 6">'
       + '<div style="display:flex;align-items:flex-start;gap:12px">'
-      + '<div style="font-size:36px;line-height:1">'+app.icon+'</div>'
+      + '<div style="font-size:36px;line-height:1">'+esc(app.icon || '⊞')+'</div>'
       + '<div style="flex:1;min-width:0">'
       + '<div style="display:flex;align-items:center;gap:8px;margin-bottom:4px;flex-wrap:wrap">'
-      + '<strong style="font-size:14px">'+app.name+'</strong>'
+      + '<strong style="font-size:14px">'+esc(app.name)+'</strong>'
       + statusHtml
-      + '<span class="dim" style="font-size:10px">v'+displayVer+'</span>'
-      + (hasNewVersion && isInstalled ? '<span style="display:inline-block;padding:1px 6px;background:rgba(245,158,11,.15);color:#f59e0b;border-radius:4px;font-size:9px;font-weight:600">🆕 可更新</span>' : '')
+      + (displayVer ? '<span class="dim" style="font-size:10px">v'+esc(String(displayVer).replace(/^v/,''))+'</span>' : '')
+      + (installed && installed.port ? '<span class="dim" style="font-size:10px" title="'+esc(_t('应用端口'))+'">:'+installed.port+'</span>' : '')
+      + (installed && installed.commit ? '<span class="dim" style="font-size:10px" title="'+esc(installed.commit)+'">'+esc(formatAppPin(installed.pin))+'@'+esc(installed.commit.slice(0, 7))+'</span>' : '')
+      + (installed && installed.gitAuth ? '<span class="dim" style="font-size:10px" title="'+esc(_t('私有仓库凭据'))+'">🔒</span>' : '')
+      + (hasNewVersion ? '<span title="'+esc(_t('已安装 v{0}', app.installedVersion))+'" style="display:inline-block;padding:1px 6px;background:rgba(245,158,11,.15);color:#f59e0b;border-radius:4px;font-size:9px;font-weight:600">🆕 '+_t('可更新')+'</span>' : '')
+      + (app.verified ? '<span title="'+esc(_t('目录签名已验证'))+'" style="font-size:10px;color:#22c55e">✔ '+_t('已签名')+'</span>' : '')
+      + (app.inCatalog === false ? '<span class="dim" style="font-size:10px">'+_t('不在目录中')+'</span>' : '')
       + '</div>'
-      + '<p class="dim" style="font-size:12px;margin:0 0 6px">'+app.description+'</p>'
+      + '<p class="dim" style="font-size:12px;margin:0 0 6px">'+esc(app.description || '')+'</p>'
       + '<div style="margin-bottom:8px">'+feats+'</div>'
+      + (shots ? '<div style="display:flex;gap:6px;margin-bottom:8px;flex-wrap:wrap">'+shots+'</div>' : '')
       + '<div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">'+actions+ghLink+'</div>'
       + '</div></div></div>';
   }).join('');
 }
 
+var APP_CATEGORY_LABELS = { education: '教育', productivity: '效率', tools: '工具', ai: 'AI', games: '游戏' };
+
+function renderAppCategories(categories) {
+  var el = $('app-center-categories');
+  if (!el) return;
+  if (_appCatalogCategory && categories.indexOf(_appCatalogCategory) < 0) _appCatalogCategory = '';
+  el.style.display = categories.length > 1 ? '' : 'none';
+  el.innerHTML = [''].concat(categories).map(function(c) {
+    var label = c ? _t(APP_CATEGORY_LABELS[c] || c) : _t('全部');
+    return '<button class="tab' + (c === _appCatalogCategory ? ' active' : '') + '" data-category="' + esc(c) + '" onclick="selectAppCategory(this.dataset.category)">' + esc(label) + '</button>';
+  }).join('');
+}
+
+function selectAppCategory(category) {
+  _appCatalogCategory = category || '';
+  document.querySelectorAll('#app-center-categories .tab').forEach(function(t) { t.classList.toggle('active', t.dataset.category === _appCatalogCategory); });
+  renderAppCatalog();
+}
+
+function renderAppCatalogSources(sources) {
+  var el = $('app-catalog-source-status');
+  if (!el) return;
+  el.innerHTML = sources.map(function(src) {
+    var state = src.error ? '❌ ' + esc(src.error)
+      : (src.cached ? '⚠ ' + _t('离线缓存') : '✅') + ' ' + _t('{0} 个应用', src.count) + (src.verified ? ' · ' + _t('签名已验证') : (src.signed ? ' · ' + _t('已附签名') : ''));
+    return '<div style="margin-top:4px"><code>' + esc(src.source) + '</code> ' + (src.name ? esc(src.name) + ' · ' : '') + state + '</div>';
+  }).join('');
+}
+
+async function toggleAppCatalogSources() {
+  var card = $('app-center-sources');
+  if (card.style.display !== 'none') { card.style.display = 'none'; return; }
+  var r = await api('/api/app-center/catalog/settings');
+  if (r.error) { toast(_t('加载失败'), r.error); return; }
+  $('app-catalog-sources').value = (r.sources || []).join('\n');
+  $('app-catalog-pubkey').value = r.publicKey || '';
+  card.style.display = 'block';
+}
+
+$('btn-app-catalog-save')?.addEventListener('click', async function() {
+  var sources = $('app-catalog-sources').value.split('\n').map(function(s){ return s.trim(); }).filter(Boolean);
+  var r = await api('/api/app-center/catalog/settings', { method: 'PUT', body: { sources: sources, publicKey: $('app-catalog-pubkey').value } });
+  if (!r.success) { toast(_t('保存失败'), r.error || ''); return; }
+  renderAppCatalogSources(r.sources || []);
+  toast(_t('应用目录已保存'));
+  refreshAppCenter();
+});
+
+async function loadAppAiUsage() {
+  var card = $('app-center-ai-usage');
+  if (!card) return;
+  var r = await api('/api/app-center/ai-usage?days=14');
+  if (r.error || !r.apps || !r.apps.length) { card.style.display = 'none'; return; }
+  card.style.display = 'block';
+  var isAdmin = hasWebRole('admin');
+  var num = function(n) { return Number(n || 0).toLocaleString(); };
+  var tokens = function(d) { return (d.promptTokens || 0) + (d.completionTokens || 0); };
+  var limit = function(used, max) { return num(used) + ' / ' + (max ? num(max) : '∞'); };
+  var btn = 'class="btn" style="font-size:10px;padding:2px 8px"';
+  $('app-ai-usage-list').innerHTML = r.apps.map(function(a) {
+    var today = a.daily[a.daily.length - 1] || {};
+    var peak = Math.max.apply(null, a.daily.map(tokens).concat([1]));
+    var bars = a.daily.map(function(d) {
+      var t = tokens(d);
+      var tip = d.date + ' · ' + _t('{0} 次请求', d.requests) + ' · ' + num(t) + ' tokens' + (d.rejected ? ' · ' + _t('超限拒绝 {0} 次', d.rejected) : '') + (d.errors ? ' · ' + _t('失败 {0} 次', d.errors) : '');
+      return '<div title="'+esc(tip)+'" style="flex:1;display:flex;align-items:flex-end;height:36px"><div style="width:100%;height:'+(t ? Math.max(2, Math.round(t / peak * 36)) : 1)+'px;background:'+(d.rejected ? '#f59e0b' : (t ? '#6366f1' : 'var(--line)'))+';border-radius:2px"></div></div>';
+    }).join('');
+    var id = esc(a.id);
+    var actions = isAdmin
+      ? '<button '+btn+' onclick="setAppAiSuspended(\''+id+'\','+(!a.suspended)+')">'+(a.suspended ? _t('恢复 AI') : _t('暂停 AI'))+'</button>'
+        + '<button '+btn+' onclick="editAppAiQuota(\''+id+'\')">'+_t('配额')+'</button>'
+        + '<button '+btn+' onclick="rotateAppAiKey(\''+id+'\')">'+_t('重置密钥')+'</button>'
+      : '';
+    return '<div style="display:flex;align-items:center;gap:12px;padding:8px 0;border-top:1px solid var(--line);flex-wrap:wrap">'
+      + '<div style="min-width:160px;flex:1"><div style="font-weight:600;font-size:12px">'+esc(a.icon || '⊞')+' '+esc(a.name)
+      + (a.suspended ? ' <span style="padding:1px 6px;border-radius:10px;font-size:10px;background:rgba(239,68,68,.15);color:#ef4444">'+_t('AI 已暂停')+'</span>' : '') + '</div>'
+      + '<div class="muted small">'+_t('今日请求')+' '+limit(today.requests, a.quota.requestsPerDay)+' · '+_t('今日 Token')+' '+limit(tokens(today), a.quota.tokensPerDay)+' · '+_t('每分钟')+' '+(a.quota.requestsPerMinute ? num(a.quota.requestsPerMinute) : '∞')+'</div></div>'
+      + '<div style="display:flex;gap:2px;width:220px">'+bars+'</div>'
+      + '<div class="row" style="gap:6px">'+actions+'</div>'
+      + '</div>';
+  }).join('');
+}
+
+async function setAppAiSuspended(appId, suspended) {
+  var r = await api('/api/app-center/ai-access', { method: 'PUT', body: { id: appId, suspended: suspended } });
+  if (r.error) { toast(_t('保存失败'), r.error); return; }
+  appLog((suspended ? '已暂停 AI 访问: ' : '已恢复 AI 访问: ') + appId);
+  loadAppAiUsage();
+}
+
+async function editAppAiQuota(appId) {
+  var r = await api('/api/app-center/ai-usage?days=1');
+  var app = (r.apps || []).find(function(a){ return a.id === appId; });
+  if (!app) return;
+  var q = app.quota;
+  var v = prompt(_t('AI 配额：每分钟请求 / 每天请求 / 每天 Token（0 表示不限）'), q.requestsPerMinute + ' / ' + q.requestsPerDay + ' / ' + q.tokensPerDay);
+  if (v === null) return;
+  var m = v.trim().match(/^(\d+)\s*\/\s*(\d+)\s*\/\s*(\d+)$/);
+  if (!m) { toast(_t('格式错误'), _t('请输入三个数字，用 / 分隔')); return; }
+  var resp = await api('/api/app-center/ai-access', { method: 'PUT', body: { id: appId, quota: { requestsPerMinute: Number(m[1]), requestsPerDay: Number(m[2]), tokensPerDay: Number(m[3]) } } });
+  if (resp.error) { toast(_t('保存失败'), resp.error); return; }
+  appLog('AI 配额已更新: ' + appId);
+  loadAppAiUsage();
+}
+
+async function rotateAppAiKey(appId) {
+  if (!confirm(_t('重置 {0} 的 AI 密钥？旧密钥立即失效，运行中的应用会自动重启。', appId))) return;
+  var r = await api('/api/app-center/ai-key/rotate', { method: 'POST', body: { id: appId } });
+  if (r.error) { toast(_t('操作失败'), r.error); return; }
+  appLog('已重置 AI 密钥: ' + appId + (r.restarted ? '（已重启）' : ''));
+}
+
+function renderAppPortRange(range) {
+  var el = $('app-center-port-range');
+  if (!el || !range) return;
+  el.textContent = _t('端口范围') + ' ' + range.min + '-' + range.max;
+  var btn = $('app-center-port-range-btn');
+  if (btn) btn.style.display = hasWebRole('admin') ? '' : 'none';
+}
+
+async function editAppPortRange() {
+  var current = ($('app-center-port-range').textContent.match(/(\d+)-(\d+)/) || []).slice(1).join('-');
+  var v = prompt(_t('新安装的应用从此范围自动分配端口（如 20000-20999）'), current || '20000-20999');
+  if (v === null) return;
+  var m = v.trim().match(/^(\d+)\s*-\s*(\d+)$/);
+  if (!m) { toast(_t('格式错误'), _t('请输入 起始-结束，如 20000-20999')); return; }
+  var r = await api('/api/app-center/port-range', { method: 'PUT', body: { min: Number(m[1]), max: Number(m[2]) } });
+  if (r.error) { toast(_t('保存失败'), r.error); return; }
+  renderAppPortRange(r.portRange);
+  appLog('端口范围已更新: ' + r.portRange.min + '-' + r.portRange.max);
+}
+
+// Install/update run as server tasks: follow the task log into the App Center log until it ends
+async function runAppCenterTask(url, body) {
+  var resp = await api(url, { method: 'POST', body: body });
+  if (resp.error || !resp.taskId) return resp;
+  if (resp.reused) appLog(_t('该应用已有进行中的任务，继续跟踪'));
+  var since = 0;
+  for (;;) {
+    await new Promise(function(r) { setTimeout(r, 1000); });
+    var task = await api('/api/app-center/tasks/' + encodeURIComponent(resp.taskId) + '?since=' + since);
+    if (typeof task.status !== 'string') return task;
+    since = task.seq || since;
+    String(task.delta || '').split('\n').forEach(function(line) {
+      // git progress redraws with \r; only the last state of a line is worth showing
+      line = line.split('\r').pop().trim();
+      if (line) appLog('  ' + line);
+    });
+    if (task.status !== 'running') {
+      return task.status === 'success' ? task.result : { error: task.error, errors: task.errors, missingEnv: task.missingEnv, rolledBack: task.rolledBack, unverifiedPin: task.unverifiedPin };
+    }
+  }
+}
+
 async function installApp(appId) {
-  var app = APP_CATALOG.find(function(a){ return a.id === appId; });
+  var app = findCatalogApp(appId);
   if (!app) return;
   var btn = $('install-btn-' + appId);
   if (btn) { btn.disabled = true; btn.textContent = _t('安装中...'); btn.style.opacity = '0.6'; }
   appLog('开始安装: ' + app.name + ' (' + appId + ')');
   try {
-    var resp = await api('/api/app-center/install', {
-      method: 'POST',
-      body: { id: appId, name: appId, displayName: app.name, description: app.description, icon: app.icon, version: app.version, features: app.features, repo: app.repo, port: app.port, entryPath: app.entryPath, category: app.category }
-    });
-    if (resp.error) throw new Error(resp.error);
+    var body = { id: appId, catalog: true };
+    var resp = await runAppCenterTask('/api/app-center/install', body);
+    // A private repo fails to clone until credentials are given
+    if (resp.error && /^git (clone|ls-remote) failed/.test(resp.error) && hasWebRole('admin') && confirm(_t('无法拉取 {0} 的仓库。如果是私有仓库，是否提供访问凭据后重试？', app.name))) {
+      body.gitAuth = promptAppGitAuth(app);
+      if (!body.gitAuth) throw new Error(resp.error);
+      resp = await runAppCenterTask('/api/app-center/install', body);
+    }
+    if (resp.missingEnv && resp.missingEnv.length) {
+      body.env = promptAppEnv(app.name, resp.missingEnv);
+      if (!body.env) throw new Error(resp.error);
+      resp = await runAppCenterTask('/api/app-center/install', body);
+    }
+    if (resp.error) { reportAppManifestErrors(resp); throw new Error(resp.error); }
     appLog('✅ 应用 ' + app.name + ' 注册成功');
+    if (resp.app && resp.app.port) appLog('分配端口: ' + resp.app.port);
     appLog('应用目录: ~/.openclaw/apps/' + appId + '/');
     await refreshAppCenter();
   } catch(e) {
@@ -5582,23 +7028,119 @@ async function installApp(appId) {
   }
 }
 
+// Ask for env vars the app's manifest requires; null when the user cancels
+function promptAppEnv(appName, missingEnv) {
+  var env = {};
+  for (var i = 0; i < missingEnv.length; i++) {
+    var item = missingEnv[i];
+    var v = prompt(_t('{0} 需要配置环境变量 {1}', appName, item.name) + (item.description ? '\n' + item.description : ''), '');
+    if (v === null || !v.trim()) return null;
+    env[item.name] = v.trim();
+  }
+  return env;
+}
+
+function formatAppPin(pin) {
+  if (!pin || pin.type === 'default') return '';
+  return (pin.type === 'tag' ? '🏷 ' : pin.type === 'branch' ? '⎇ ' : '📌 ') + pin.ref + ' ';
+}
+
+// Token ("user:token" to set the username) for https repos, deploy key for ssh ones;
+// null when cancelled, { type: 'none' } when left empty
+function promptAppGitAuth(app) {
+  var ssh = app.repo && !/^https:/.test(app.repo);
+  var v = prompt(ssh ? _t('粘贴 {0} 的部署私钥（留空清除凭据）', app.name) : _t('输入 {0} 仓库的访问令牌，可写成 用户名:令牌（留空清除凭据）', app.name), '');
+  if (v === null) return null;
+  v = v.trim();
+  if (!v) return { type: 'none' };
+  if (ssh) {
+    // prompt() flattens newlines; rebuild the PEM body
+    var m = v.match(/^(-----BEGIN [A-Z ]+-----)([\s\S]+?)(-----END [A-Z ]+-----)$/);
+    var key = m ? m[1] + '\n' + m[2].replace(/\s+/g, '').replace(/(.{64})/g, '$1\n').replace(/\n$/, '') + '\n' + m[3] : v;
+    return { type: 'deployKey', privateKey: key };
+  }
+  var i = v.indexOf(':');
+  return i > 0 ? { type: 'token', username: v.slice(0, i), token: v.slice(i + 1) } : { type: 'token', token: v };
+}
+
+async function editAppGitAuth(appId) {
+  var app = findCatalogApp(appId) || { id: appId, name: appId };
+  var auth = promptAppGitAuth(app);
+  if (!auth) return;
+  auth.id = appId;
+  var r = await api('/api/app-center/git-auth', { method: 'PUT', body: auth });
+  if (r.error) { toast(_t('操作失败'), r.error); return; }
+  appLog(r.gitAuth ? '已保存仓库凭据: ' + appId + ' (' + r.gitAuth.type + ')' : '已清除仓库凭据: ' + appId);
+  refreshAppCenter();
+}
+
+// List newer tags, then optionally re-pin: a tag, branch or commit, or empty for the default branch
+async function pinAppVersion(appId) {
+  var app = findCatalogApp(appId) || { id: appId, name: appId };
+  appLog('正在检查版本: ' + app.name);
+  var check = await api('/api/app-center/update-check?id=' + encodeURIComponent(appId));
+  if (check.error) { appLog('❌ 检查失败: ' + check.error); return; }
+  var current = (formatAppPin(check.pin) || _t('默认分支') + ' ') + '@' + String(check.commit || '').slice(0, 7);
+  appLog('当前部署: ' + current);
+  if (check.updateAvailable) appLog('分支有新提交: ' + check.latestCommit.slice(0, 7));
+  var tags = (check.newerTags || []).map(function(t) { return t.tag; });
+  appLog(tags.length ? '更新的标签: ' + tags.join(', ') : '没有更新的标签');
+  var ref = prompt(_t('当前部署 {0}\n输入要部署的标签、分支或提交，留空表示跟随默认分支', current), check.pin && check.pin.type !== 'default' ? (tags[0] || check.pin.ref) : (tags[0] || ''));
+  if (ref === null) return;
+  appLog('正在切换 ' + app.name + ' 到 ' + (ref.trim() || _t('默认分支')) + '...');
+  try {
+    var resp = await runAppCenterTask('/api/app-center/update', { id: appId, ref: ref.trim() });
+    if (confirmUnverifiedAppPin(resp, app.name)) resp = await runAppCenterTask('/api/app-center/update', { id: appId, ref: ref.trim(), allowUnverified: true });
+    if (resp.rolledBack) appLog('↩️ 切换后健康检查未通过，已回滚到之前的版本');
+    if (resp.error) { reportAppManifestErrors(resp); throw new Error(resp.error); }
+    appLog('✅ 已部署: ' + resp.newVersion);
+  } catch(e) { appLog('❌ 切换失败: ' + e.message); }
+  await refreshAppCenter();
+}
+
+// The catalog vouches for no checksum at this ref; only an admin may deploy it anyway
+function confirmUnverifiedAppPin(resp, appName) {
+  if (!resp.unverifiedPin || !hasWebRole('admin')) return false;
+  return confirm(_t('目录没有为 {0} 的这个版本发布校验和，代码无法验证。\n\n确定仍要部署未经验证的代码吗？', appName));
+}
+
+function reportAppManifestErrors(resp) {
+  if (!resp.errors || !resp.errors.length) return;
+  resp.errors.forEach(function(e) { appLog('  · ' + e); });
+  var logCard = $('app-center-log');
+  if (logCard) logCard.style.display = 'block';
+  toast(_t('应用清单校验失败'), resp.errors.join(' · '));
+}
+
 async function uninstallApp(appId) {
   if (!confirm('确定卸载 ' + appId + '？\n\n注意：这会停止应用服务并移除应用注册。')) return;
+  var keepData = confirm(_t('是否保留 {0} 保存的应用数据？\n\n确定：保留，重新安装后可继续使用\n取消：一并删除', appId));
   appLog('正在卸载: ' + appId);
   try {
-    var resp = await api('/api/app-center/uninstall', { method: 'POST', body: { id: appId } });
+    var resp = await api('/api/app-center/uninstall', { method: 'POST', body: { id: appId, keepData: keepData } });
     if (resp.error) throw new Error(resp.error);
-    appLog('✅ 已卸载: ' + appId);
+    appLog('✅ 已卸载: ' + appId + (keepData ? '（已保留应用数据）' : ''));
     refreshAppCenter();
   } catch(e) { appLog('❌ 卸载失败: ' + e.message); }
 }
 
 async function updateApp(appId) {
-  var app = APP_CATALOG.find(function(a){ return a.id === appId; });
+  var app = findCatalogApp(appId);
   appLog('正在更新: ' + (app ? app.name : appId) + ' (git pull)...');
   try {
-    var resp = await api('/api/app-center/update', { method: 'POST', body: { id: appId } });
-    if (resp.error) throw new Error(resp.error);
+    var body = { id: appId };
+    var resp = await runAppCenterTask('/api/app-center/update', body);
+    if (resp.missingEnv && resp.missingEnv.length) {
+      body.env = promptAppEnv(app ? app.name : appId, resp.missingEnv);
+      if (!body.env) throw new Error(resp.error);
+      resp = await runAppCenterTask('/api/app-center/update', body);
+    }
+    if (confirmUnverifiedAppPin(resp, app ? app.name : appId)) {
+      body.allowUnverified = true;
+      resp = await runAppCenterTask('/api/app-center/update', body);
+    }
+    if (resp.rolledBack) { appLog('↩️ 更新后健康检查未通过，已回滚到之前的版本'); await refreshAppCenter(); }
+    if (resp.error) { reportAppManifestErrors(resp); throw new Error(resp.error); }
     if (resp.updated) {
       appLog('✅ 已更新: ' + resp.oldVersion + ' → ' + resp.newVersion);
     } else {
@@ -5609,14 +7151,58 @@ async function updateApp(appId) {
 }
 
 async function startApp(appId) {
-  var app = APP_CATALOG.find(function(a){ return a.id === appId; });
+  var app = findCatalogApp(appId);
   if (!app) return;
   appLog('正在启动: ' + app.name);
   try {
-    var resp = await api('/api/app-center/start', { method: 'POST', body: { id: appId, port: app.port } });
+    var resp = await api('/api/app-center/start', { method: 'POST', body: { id: appId } });
     if (resp.error) throw new Error(resp.error);
-    appLog('✅ 已启动: ' + app.name + ' (端口 ' + app.port + ')');
+    appLog('✅ 已启动: ' + app.name + ' (PID ' + resp.pid + ')');
     await refreshAppCenter();
   } catch(e) { appLog('❌ 启动失败: ' + e.message); }
 }
 
+async function stopApp(appId) {
+  appLog('正在停止: ' + appId);
+  try {
+    var resp = await api('/api/app-center/stop', { method: 'POST', body: { id: appId } });
+    if (resp.error) throw new Error(resp.error);
+    appLog('✅ 已停止: ' + appId);
+    await refreshAppCenter();
+  } catch(e) { appLog('❌ 停止失败: ' + e.message); }
+}
+
+async function restartApp(appId) {
+  appLog('正在重启: ' + appId);
+  try {
+    var resp = await api('/api/app-center/restart', { method: 'POST', body: { id: appId } });
+    if (resp.error) throw new Error(resp.error);
+    appLog('✅ 已重启: ' + appId + ' (PID ' + (resp.runtime && resp.runtime.pid) + ')');
+    await refreshAppCenter();
+  } catch(e) { appLog('❌ 重启失败: ' + e.message); }
+}
+
+// App stdout/stderr captured by the supervisor
+var _appLogsViewing = '';
+async function showAppLogs(appId) {
+  if (appId) _appLogsViewing = appId;
+  var card = $('app-center-app-log');
+  if (!card || !_appLogsViewing) return;
+  card.style.display = 'block';
+  $('app-center-app-log-title').textContent = _t('应用日志') + ' · ' + _appLogsViewing;
+  var pre = $('app-center-app-log-content');
+  var resp = await api('/api/app-center/logs?id=' + encodeURIComponent(_appLogsViewing) + '&lines=500');
+  if (resp.error) { pre.textContent = resp.error; return; }
+  var rt = resp.runtime || {};
+  $('app-center-app-log-meta').textContent = _t('状态') + ': ' + (rt.status || '-') + ' · PID ' + (rt.pid || '-') + ' · ' + _t('重启 {0} 次', rt.restarts || 0)
+    + (rt.health && rt.health.checkedAt ? ' · ' + _t('健康检查') + ': ' + (rt.health.ok ? 'OK' : (rt.health.error || ('HTTP ' + rt.health.statusCode))) : '');
+  pre.textContent = resp.log || _t('暂无日志');
+  pre.scrollTop = pre.scrollHeight;
+}
+
+function hideAppLogs() {
+  _appLogsViewing = '';
+  var card = $('app-center-app-log');
+  if (card) card.style.display = 'none';
+}
+
@@ -1699,6 +1699,443 @@
     'ℹ️ Discord {0}：{1}': 'ℹ️ Discord {0}: {1}',
     '[discord] {0}': '[discord] {0}',
     '[save] {0}': '[save] {0}',
+    // ────── v1.2 panel users & roles ──────
+    '只读': 'Viewer',
+    '运维': 'Operator',
+    '管理员': 'Admin',
+    '暂无用户': 'No users',
+    '（当前用户）': '(current user)',
+    '创建于': 'Created',
+    '停用': 'Disable',
+    '重置密码': 'Reset password',
+    '删除': 'Delete',
+    '用户已更新': 'User updated',
+    '确定删除用户 {0} 吗？': 'Delete user {0}?',
+    '用户已删除': 'User deleted',
+    '请输入用户名': 'Please enter a username',
+    '用户已添加': 'User added',
+    '👥 面板用户': '👥 Panel Users',
+    '初始密码': 'Initial password',
+    '添加用户': 'Add user',
+    '请输入 {0} 的新密码（至少8位，含大小写字母、数字和特殊字符）': 'Enter a new password for {0} (8+ chars with upper/lowercase letters, digits and special characters)',
+    '管理员：全部权限（含终端、卸载、删除密钥、用户管理）；运维：可修改配置和执行操作；只读：仅可查看仪表盘、日志和配置。': 'Admin: full access (terminal, uninstall, key deletion, user management); Operator: can change configuration and run operations; Viewer: read-only access to dashboard, logs and configuration.',
+    '首次使用需要先设置管理密码（管理员账号为 admin），其他账号由管理员在「系统设置」中创建。': 'On first use, set the admin password (the admin account is "admin"). Other accounts are created by an admin in System Settings.',
+    // ────── v1.2 two-factor auth ──────
+    '两步验证码': 'Verification code',
+    '6 位验证码或恢复码': '6-digit code or recovery code',
+    '请输入身份验证器中的 6 位验证码，或一个恢复码': 'Enter the 6-digit code from your authenticator app, or a recovery code',
+    '请输入验证码': 'Please enter the verification code',
+    '验证失败': 'Verification failed',
+    '🔐 两步验证（TOTP）': '🔐 Two-Factor Authentication (TOTP)',
+    '启用后，登录时除密码外还需输入身份验证器（如 Google Authenticator、1Password）生成的 6 位验证码。': 'When enabled, login requires a 6-digit code from an authenticator app (e.g. Google Authenticator, 1Password) in addition to the password.',
+    '启用两步验证': 'Enable 2FA',
+    '1. 使用身份验证器扫描二维码，或手动输入密钥：': '1. Scan the QR code with your authenticator app, or enter the secret manually:',
+    '2. 输入验证器显示的 6 位验证码完成绑定：': '2. Enter the 6-digit code shown by the app to finish enrollment:',
+    '确认启用': 'Confirm',
+    '重新生成恢复码': 'Regenerate recovery codes',
+    '关闭两步验证': 'Disable 2FA',
+    '请立即保存以下恢复码': 'Save these recovery codes now',
+    '：每个只能使用一次，丢失验证器时可代替验证码登录。关闭此页面后将无法再次查看。': ': each can be used once in place of a code if you lose your authenticator. They will not be shown again.',
+    '未启用': 'Not enabled',
+    '剩余恢复码：{0}': 'Recovery codes left: {0}',
+    '启用失败': 'Enable failed',
+    '两步验证已启用': 'Two-factor authentication enabled',
+    '请妥善保存恢复码': 'Keep your recovery codes safe',
+    '请输入当前的 6 位验证码': 'Enter your current 6-digit code',
+    '请输入当前的 6 位验证码或恢复码': 'Enter your current 6-digit code or a recovery code',
+    '两步验证已关闭': 'Two-factor authentication disabled',
+    '重置两步验证': 'Reset 2FA',
+    '确定重置 {0} 的两步验证吗？该用户下次登录后需重新绑定。': 'Reset two-factor authentication for {0}? They will need to enroll again after logging in.',
+    // ────── v1.2 active sessions ──────
+    '🖥 活动会话': '🖥 Active Sessions',
+    '显示所有用户': 'Show all users',
+    '退出其他所有会话': 'Sign out all other sessions',
+    '会话空闲 24 小时后自动过期；修改密码后所有会话都会失效。': 'Sessions expire after 24 hours of inactivity; changing the password signs out every session.',
+    '暂无活动会话': 'No active sessions',
+    '当前会话': 'This session',
+    '登录于': 'Signed in',
+    '最后活动': 'Last active',
+    '注销': 'Revoke',
+    '这是当前会话，注销后需要重新登录。确定继续？': 'This is your current session; you will need to log in again. Continue?',
+    '会话已注销': 'Session revoked',
+    '确定退出除当前会话外的所有会话吗？': 'Sign out every session except this one?',
+    '已退出 {0} 个会话': 'Signed out {0} session(s)',
+    // ────── v1.2 API tokens ──────
+    '🔑 API 令牌': '🔑 API Tokens',
+    '供 CI 和脚本调用面板 API，请求头格式：': 'For CI and scripts calling the panel API, send: ',
+    'Authorization: Bearer <令牌>': 'Authorization: Bearer <token>',
+    '。令牌以创建者的身份和角色生效，只能访问所选权限范围内的接口。': '. A token acts as its creator with their role and can only reach endpoints covered by its scopes.',
+    '例如 ci-deploy': 'e.g. ci-deploy',
+    '有效期': 'Expiry',
+    '7 天': '7 days',
+    '30 天': '30 days',
+    '90 天': '90 days',
+    '365 天': '365 days',
+    '永不过期': 'Never expires',
+    '权限范围': 'Scopes',
+    '创建令牌': 'Create token',
+    '请立即复制此令牌': 'Copy this token now',
+    '：它只显示这一次，面板中仅保存其哈希值。': ': it is shown only once; the panel keeps only its hash.',
+    '读取状态': 'Read status',
+    '读取日志': 'Read logs',
+    '修改配置': 'Change config',
+    '安装/更新': 'Install/update',
+    '管理 AI 密钥': 'Manage AI keys',
+    '管理': 'Administration',
+    '暂无 API 令牌': 'No API tokens',
+    '已过期': 'Expired',
+    '过期': 'Expires',
+    '永不': 'Never',
+    '最后使用': 'Last used',
+    '从未': 'Never',
+    '吊销': 'Revoke',
+    '确定吊销令牌 {0} 吗？使用它的脚本将立即失效。': 'Revoke token {0}? Scripts using it will stop working immediately.',
+    '令牌已吊销': 'Token revoked',
+    '请输入令牌名称': 'Enter a token name',
+    '请至少选择一个权限范围': 'Select at least one scope',
+    '令牌已创建': 'Token created',
+    // ────── v1.2 audit log ──────
+    '运行日志': 'Runtime logs',
+    '审计': 'Audit',
+    '路由或内容关键字': 'Route or content keyword',
+    '全部结果': 'All results',
+    '拒绝': 'Denied',
+    '查询': 'Search',
+    '上一页': 'Previous',
+    '下一页': 'Next',
+    '第 {0}-{1} 条': 'Entries {0}-{1}',
+    '暂无审计记录': 'No audit entries',
+    // ────── v1.2 single sign-on ──────
+    '🪪 单点登录（SSO）': '🪪 Single Sign-On (SSO)',
+    '通过企业身份提供方（OIDC）或前置反向代理传入的用户头登录面板。SSO 自动创建的账号没有密码，角色随身份提供方的分组同步；已有的本地账号保留原角色，密码登录始终可作为应急入口。': 'Sign in through your identity provider (OIDC) or a user header set by a fronting reverse proxy. Accounts created by SSO have no password and follow the IdP groups for their role; existing local accounts keep their role, and password login always remains as a break-glass path.',
+    'OIDC 授权码登录': 'OIDC authorization-code login',
+    '启用 OIDC 登录': 'Enable OIDC login',
+    '回调地址（Redirect URI）': 'Redirect URI',
+    '用户名 Claim': 'Username claim',
+    '分组 Claim': 'Groups claim',
+    '登录按钮文字': 'Login button label',
+    '使用 SSO 登录': 'Sign in with SSO',
+    '测试发现文档': 'Test discovery document',
+    '可信代理头登录': 'Trusted proxy header login',
+    '启用代理头登录': 'Enable header login',
+    '用户名请求头': 'User header',
+    '分组请求头': 'Groups header',
+    '密钥请求头': 'Secret header',
+    '代理共享密钥': 'Proxy shared secret',
+    '分组 → 角色映射': 'Group → role mapping',
+    '管理员分组': 'Admin groups',
+    '运维分组': 'Operator groups',
+    '只读分组': 'Viewer groups',
+    '未匹配时': 'When nothing matches',
+    '拒绝登录': 'Refuse login',
+    '首次登录时自动创建面板账号': 'Create a panel account on first login',
+    '多个分组用逗号分隔；': 'Separate groups with commas; ',
+    ' 表示任意已认证用户。': ' matches any authenticated user.',
+    '代理头': 'Proxy header',
+    '已保存，留空则不修改': 'Saved — leave blank to keep',
+    '公共客户端可留空': 'Leave blank for public clients',
+    '至少 16 位，认证代理需在每个请求中携带': 'At least 16 characters; the auth proxy must send it on every request',
+    '只有来自「网络访问控制」中可信代理（当前：{0}）且携带正确共享密钥的请求才会采信用户名请求头。': 'The user header is only honoured on requests from a trusted proxy in Network access control (now: {0}) that carry the shared secret.',
+    'SSO 设置已保存': 'SSO settings saved',
+    '✅ 发现文档正常，签名密钥 {0} 个': '✅ Discovery OK, {0} signing key(s)',
+    '❌ {0}': '❌ {0}',
+    // ────── SSO account linking ──────
+    '待绑定 SSO · {0}': 'SSO link pending · {0}',
+    '取消 SSO 绑定': 'Cancel SSO link',
+    '允许 SSO 绑定': 'Allow SSO link',
+    '同名的 SSO 身份下次登录时将绑定到 {0} 并接管该账号。输入来源：oidc 或 header': 'The next SSO login with the same name will be bound to {0} and take over this account. Enter the source: oidc or header',
+    // ────── v1.2 network access policy ──────
+    '🛡️ 网络访问控制': '🛡️ Network access control',
+    '按 IP / CIDR 限制面板页面、API、网关代理与 Web 终端的来源地址，每行一条。拒绝规则优先；允许列表非空时只放行列表内的地址。容器内直连 127.0.0.1 的请求始终放行，便于误配后恢复。': 'Restrict which IPs / CIDRs may reach the panel pages, API, gateway proxy and web terminal, one entry per line. Deny rules win; a non-empty allow list admits only the listed addresses. Direct connections to 127.0.0.1 from inside the container are always allowed so a bad policy can be repaired.',
+    '可信代理': 'Trusted proxies',
+    '只有来自这些地址的 X-Forwarded-For 才会被采信，用于识别真实客户端 IP。': 'X-Forwarded-For is only honoured from these addresses when determining the real client IP.',
+    '留空表示不限制': 'Empty means no restriction',
+    '面板页面 · 允许': 'Panel pages · allow',
+    '面板页面 · 拒绝': 'Panel pages · deny',
+    'API · 允许': 'API · allow',
+    'API · 拒绝': 'API · deny',
+    '网关代理 · 允许': 'Gateway proxy · allow',
+    '网关代理 · 拒绝': 'Gateway proxy · deny',
+    'Web 终端 · 允许': 'Web terminal · allow',
+    'Web 终端 · 拒绝': 'Web terminal · deny',
+    '当前为容器内直连，不受访问控制限制': 'This is a direct connection from inside the container and is exempt from access control',
+    '面板识别到的当前客户端 IP：{0}': 'Client IP as seen by the panel: {0}',
+    '已拒绝保存': 'Save refused',
+    '该策略会阻止你当前的地址，请先把它加入允许列表': 'This policy would block your current address; add it to the allow list first',
+    '访问控制已保存': 'Access control saved',
+    // ────── v1.2 login protection ──────
+    '🚫 登录防护': '🚫 Login protection',
+    '清除全部': 'Clear all',
+    '告警 Webhook': 'Alert webhook',
+    '连续失败告警阈值': 'Failure alert threshold',
+    '全局每分钟失败上限': 'Global failures per minute limit',
+    '发送测试告警': 'Send test alert',
+    '账号或 IP 每累计达到阈值次数的失败就会触发一次告警（写入审计日志，并以 JSON POST 到 Webhook）。': 'Every time an account or IP accumulates the threshold number of failures an alert fires (written to the audit log and POSTed as JSON to the webhook).',
+    '同一账号或 IP 连续失败 {0} 次后锁定 {1} 秒，之后每次失败锁定时间翻倍（最长 {2} 小时）。最近一分钟全局失败 {3} 次。': 'An account or IP is locked for {1}s after {0} failures, doubling with every further failure (up to {2}h). Failures across the panel in the last minute: {3}.',
+    '暂无登录失败记录': 'No failed logins recorded',
+    '账号': 'Account',
+    '失败 {0} 次': '{0} failures',
+    '锁定至': 'Locked until',
+    '最近失败': 'Last failure',
+    '解除': 'Unlock',
+    '已解除锁定': 'Lockout cleared',
+    '确定清除所有登录失败记录和锁定吗？': 'Clear all failed-login records and lockouts?',
+    '已清除 {0} 条记录': 'Cleared {0} records',
+    '登录防护设置已保存': 'Login protection settings saved',
+    '发送失败': 'Send failed',
+    '测试告警已发送': 'Test alert sent',
+    // ────── v1.2 app supervisor ──────
+    '崩溃重启中': 'Restarting after crash',
+    '健康检查失败': 'Health check failing',
+    '重启': 'Restart',
+    '应用日志': 'App logs',
+    '重启 {0} 次': '{0} restarts',
+    '健康检查': 'Health check',
+    '暂无日志': 'No logs yet',
+    // ────── v1.2 app manifest ──────
+    '{0} 需要配置环境变量 {1}': '{0} requires the environment variable {1}',
+    '应用清单校验失败': 'App manifest validation failed',
+    // ────── v1.2 app ports ──────
+    '端口范围': 'Port range',
+    '应用端口': 'App port',
+    '新安装的应用从此范围自动分配端口（如 20000-20999）': 'New apps get a free port from this range automatically (e.g. 20000-20999)',
+    '请输入 起始-结束，如 20000-20999': 'Enter start-end, e.g. 20000-20999',
+    // ────── v1.2 app catalog ──────
+    '目录中没有应用': 'No apps in the catalog',
+    '需要面板 v{0} 或更高版本': 'Requires panel v{0} or newer',
+    '源码': 'Source',
+    '已安装 v{0}': 'Installed v{0}',
+    '目录签名已验证': 'Catalog signature verified',
+    '已签名': 'Signed',
+    '不在目录中': 'Not in catalog',
+    '教育': 'Education',
+    '效率': 'Productivity',
+    '游戏': 'Games',
+    '离线缓存': 'Offline cache',
+    '{0} 个应用': '{0} apps',
+    '签名已验证': 'signature verified',
+    '已附签名': 'signed (not checked)',
+    '应用目录已保存': 'App catalog saved',
+    '目录源': 'Sources',
+    '应用目录源': 'App catalog sources',
+    '目录索引': 'Catalog indexes',
+    '签名公钥（PEM，可选）': 'Signing public key (PEM, optional)',
+    '浏览、安装和管理应用目录中的应用': 'Browse, install and manage apps from your catalogs',
+    '每行一个目录索引：https 地址或容器内的绝对路径，builtin 为面板自带目录。多个目录按顺序合并，同一应用以靠前的目录为准。远程目录会缓存到本地，离线时继续使用。': 'One catalog index per line: an https URL or an absolute path inside the container; builtin is the catalog shipped with the panel. Catalogs are merged in order and the first one listing an app wins. Remote catalogs are cached locally and keep working offline.',
+    '设置后，每个目录都必须附带用该密钥签名的 <索引地址>.sig 文件，否则不予加载。': 'When set, every catalog must come with a <index URL>.sig file signed with this key, or it is not loaded.',
+    // ────── v1.2 app ai chat ──────
+    '调用 AI 对话': 'AI chat',
+    // ────── v1.2 app ai access ──────
+    '{0} 次请求': '{0} requests',
+    '超限拒绝 {0} 次': '{0} rejected by quota',
+    '恢复 AI': 'Resume AI',
+    '暂停 AI': 'Suspend AI',
+    '配额': 'Quota',
+    '重置密钥': 'Rotate key',
+    'AI 已暂停': 'AI suspended',
+    '今日请求': 'Requests today',
+    '今日 Token': 'Tokens today',
+    '每分钟': 'Per minute',
+    'AI 配额：每分钟请求 / 每天请求 / 每天 Token（0 表示不限）': 'AI quota: requests per minute / requests per day / tokens per day (0 = unlimited)',
+    '请输入三个数字，用 / 分隔': 'Enter three numbers separated by /',
+    '重置 {0} 的 AI 密钥？旧密钥立即失效，运行中的应用会自动重启。': 'Rotate the AI key of {0}? The old key stops working immediately and a running app is restarted.',
+    '应用 AI 用量（近 14 天）': 'App AI usage (last 14 days)',
+    '每个应用用自己的密钥（环境变量 OPENCLAW_APP_KEY）调用 AI 代理，并受各自的配额限制，0 表示不限。': 'Each app calls the AI proxy with its own key (environment variable OPENCLAW_APP_KEY) and is held to its own quotas; 0 means unlimited.',
+    // ────── v1.2 app data ──────
+    '是否保留 {0} 保存的应用数据？\n\n确定：保留，重新安装后可继续使用\n取消：一并删除': 'Keep the data saved by {0}?\n\nOK: keep it for a later reinstall\nCancel: delete it too',
+    '（已保留应用数据）': ' (app data kept)',
+    // ────── v1.2 app tasks ──────
+    '该应用已有进行中的任务，继续跟踪': 'A task for this app is already running; following it',
+    // ────── v1.2 app refs ──────
+    '私有仓库凭据': 'Private repo credentials',
+    '凭据': 'Credentials',
+    '默认分支': 'default branch',
+    '无法拉取 {0} 的仓库。如果是私有仓库，是否提供访问凭据后重试？': 'Could not fetch the repo of {0}. If it is private, provide credentials and retry?',
+    '粘贴 {0} 的部署私钥（留空清除凭据）': 'Paste the deploy key (private key) for {0} (empty clears the credentials)',
+    '输入 {0} 仓库的访问令牌，可写成 用户名:令牌（留空清除凭据）': 'Access token for the {0} repo, optionally as username:token (empty clears the credentials)',
+    '当前部署 {0}\n输入要部署的标签、分支或提交，留空表示跟随默认分支': 'Deployed: {0}\nEnter a tag, branch or commit to deploy; leave empty to follow the default branch',
+    // ────── Unverified app pins ──────
+    '目录没有为 {0} 的这个版本发布校验和，代码无法验证。\n\n确定仍要部署未经验证的代码吗？': 'The catalog publishes no checksum for this version of {0}, so its code cannot be verified.\n\nDeploy the unverified code anyway?',
+    // ────── v1.2 model usage ──────
+    '📊 用量与费用': '📊 Usage & cost',
+    '按服务商 / 模型 / 渠道统计 Token 用量，并按价格表估算费用（UTC 日期）': 'Token usage per provider / model / channel, with costs estimated from the price table (UTC dates)',
+    '近 7 天': 'Last 7 days',
+    '近 30 天': 'Last 30 days',
+    '近 90 天': 'Last 90 days',
+    '导出 CSV': 'Export CSV',
+    '价格与预算': 'Prices & budgets',
+    '价格表（每百万 Token）': 'Price table (per 1M tokens)',
+    '每行：服务商/模型 输入 输出 [缓存读取 缓存写入]，模型可写 * 匹配该服务商的全部模型。未列出的模型依次使用模型配置中的 cost、OpenClaw 内置目录价格（美元）、会话记录中的费用。': 'One per line: provider/model input output [cacheRead cacheWrite]; use * as the model to match all of a provider\'s models. Unlisted models fall back to the cost in the model config, then the OpenClaw built-in catalog price (USD), then the cost recorded in the session transcript.',
+    '币种': 'Currency',
+    '美元汇率': 'USD exchange rate',
+    '每日预算 / 每月预算（0 表示不限）': 'Daily / monthly budget (0 = unlimited)',
+    '预警阈值（%）': 'Warning threshold (%)',
+    '保存价格与预算': 'Save prices & budgets',
+    '每日费用': 'Daily cost',
+    '每月费用': 'Monthly cost',
+    '按模型': 'By model',
+    '按渠道': 'By channel',
+    '查看用量': 'View usage',
+    '今日': 'Today',
+    '本月': 'This month',
+    '模型': 'Model',
+    '请求': 'Requests',
+    '输入': 'Input',
+    '输出': 'Output',
+    '缓存': 'Cache',
+    '费用': 'Cost',
+    '渠道': 'Channel',
+    '暂无数据': 'No data',
+    '读取失败：{0}': 'Failed to load: {0}',
+    '输入 {0} / 输出 {1} tokens': 'in {0} / out {1} tokens',
+    '缓存 {0} tokens': 'cache {0} tokens',
+    '{0}预算 {1}%': '{0} budget {1}%',
+    '近 {0} 天：{1} 次请求，{2} tokens，{3}': 'Last {0} days: {1} requests, {2} tokens, {3}',
+    '本月 {0}': 'this month {0}',
+    '未定价：{0}': 'unpriced: {0}',
+    '内置目录': 'built-in catalog',
+    '会话记录': 'transcript',
+    '未定价': 'unpriced',
+    '第 {0} 行：{1}': 'Line {0}: {1}',
+    '价格与预算已保存': 'Prices & budgets saved',
+    '{0}模型费用 {1}，已达预算 {2} 的 {3}%': '{0}: model cost {1} has reached {3}% of the {2} budget',
+    // ────── v1.2 model health ──────
+    '🩺 模型健康': '🩺 Model health',
+    '后台定时向每个已配置模型发送一个最小请求，记录延迟、HTTP 状态与错误类型': 'Periodically sends a minimal request to every configured model in the background and records latency, HTTP status and error class',
+    '立即探测全部': 'Probe all now',
+    '探测设置': 'Probe settings',
+    '健康': 'Healthy',
+    '降级': 'Degraded',
+    '故障': 'Failing',
+    '未探测': 'Not probed',
+    '每 {0} 分钟探测一次': 'Probing every {0} min',
+    '定时探测已停用': 'Scheduled probing is off',
+    '上次探测：{0}': 'Last run: {0}',
+    '正在探测...': 'probing...',
+    '尚未配置模型': 'No models configured',
+    '暂无记录': 'No history',
+    '无响应': 'no response',
+    '可用率 {0}%': 'Uptime {0}%',
+    '均值 {0} ms': 'avg {0} ms',
+    '探测': 'Probe',
+    '探测中...': 'Probing...',
+    '探测失败': 'Probe failed',
+    '已开始探测全部模型': 'Probing all models',
+    '探测间隔（分钟，5-1440，0 表示停用） / 慢响应阈值（毫秒）': 'Probe interval (minutes, 5-1440, 0 = off) / slow response threshold (ms)',
+    '请输入两个数字，用 / 分隔': 'Enter two numbers separated by /',
+    '探测设置已保存': 'Probe settings saved',
+    // ────── Model health probe cost ──────
+    '⚠️ 每次探测都是一次真实的计费调用，定时探测默认关闭，可在“探测设置”中启用': '⚠️ Every probe is a real, billed API call. Scheduled probing is off by default; turn it on under Probe settings',
+    '定时探测会每 {0} 分钟向 {1} 个模型各发送一次真实请求（约每天 {2} 次计费调用）。\n\n确定启用？': 'Scheduled probing sends a real request to each of {1} model(s) every {0} minutes (about {2} billed calls per day).\n\nEnable it?',
+    // ────── v1.2 model routing ──────
+    '🔀 Fallback 链与路由规则': '🔀 Fallback chains & routing rules',
+    '按顺序尝试模型：前一个限流或不可用时自动切换到下一个。可为单个 Agent 指定模型链，并把渠道路由到指定 Agent。': 'Models are tried in order: when one is rate-limited or down the next takes over. Agents can have their own chain, and channels can be routed to a specific agent.',
+    '保存路由': 'Save routing',
+    '默认模型链（所有 Agent）': 'Default model chain (all agents)',
+    '用 → 或逗号分隔，第一个为主模型，其余按顺序作为 Fallback。未配置过的模型必须在 OpenClaw 内置模型目录中。': 'Separate with → or commas; the first is the primary model and the rest are fallbacks in order. Models not configured yet must be in the OpenClaw built-in model catalog.',
+    'Agent 规则': 'Agent rules',
+    '渠道规则': 'Channel rules',
+    '+ 添加': '+ Add',
+    '渠道，如 discord': 'Channel, e.g. discord',
+    '账号（可选）': 'Account (optional)',
+    '最多 {0} 个 Fallback。': 'Up to {0} fallbacks.',
+    '未设置规则的 Agent 使用默认模型链：{0}。': 'Agents without a rule use the default chain: {0}.',
+    '另有 {0} 条按会话 / 群组匹配的路由未在此显示，保存时保持不变。': '{0} more bindings match on peers / groups; they are not shown here and are kept on save.',
+    '新 Agent 会使用独立的工作区和会话记录。': 'New agents get their own workspace and session history.',
+    '[routing] 保存失败: {0}': '[routing] Save failed: {0}',
+    '[routing] {0}': '[routing] {0}',
+    '模型路由已保存': 'Model routing saved',
+    // ────── v1.2 key pools ──────
+    'Key 名称（可选）': 'Key name (optional)',
+    '过期日期（可选）': 'Expiry date (optional)',
+    '同一个 Provider 可添加多个 API Key 组成 Key 池：按策略轮换使用，遇到 429 / 401 时自动冷却并切换到下一个 Key': 'Add several API keys for one provider to form a key pool: keys rotate by strategy, and a key that hits 429 / 401 cools down automatically while the next one takes over',
+    '名称 / 过期日期': 'Name / expiry',
+    '解除冷却': 'Clear cooldown',
+    'Key 池策略': 'Key pool strategy',
+    '轮询': 'Round-robin',
+    '最少限流优先': 'Least rate-limited first',
+    '即将过期': 'Expiring soon',
+    '冷却中': 'Cooling down',
+    '冷却至 {0}': 'Cooling down until {0}',
+    '过期日期 {0}': 'Expires {0}',
+    '最近使用 {0}': 'Last used {0}',
+    '最近限流 {0}': 'Last limited {0}',
+    '连续失败 {0} 次': '{0} consecutive failure(s)',
+    'Key 池：{0} 个 Key': 'Key pool: {0} key(s)',
+    'Key 名称（留空清除）': 'Key name (leave empty to clear)',
+    '过期日期 YYYY-MM-DD（留空清除）': 'Expiry date YYYY-MM-DD (leave empty to clear)',
+    '[keys] {0} 已解除冷却': '[keys] Cooldown cleared for {0}',
+    '[keys] {0} Key 池策略：{1}': '[keys] {0} key pool strategy: {1}',
+    // ────── v1.2 provider adapters ──────
+    '无法确认 Key 是否有效：{0}\n仍然保存？': 'Could not confirm whether the key works: {0}\nSave it anyway?',
+    // ────── v1.2 local models ──────
+    '🖥️ 本地模型': '🖥️ Local models',
+    '自动检测本机和 Docker 宿主机上运行的 Ollama、LM Studio、vLLM，注册后即可在模型配置和路由中使用（上下文长度与图像输入能力读取自运行时）': 'Detects Ollama, LM Studio and vLLM running on this machine or the Docker host. Registered models can be used in the model config and routing (context length and image input are read from the runtime)',
+    '重新检测': 'Detect again',
+    '上下文 {0}': 'Context {0}',
+    '图像输入': 'Image input',
+    '思考': 'Thinking',
+    '仅嵌入': 'Embedding only',
+    '取消注册': 'Unregister',
+    '已注册 · 使用中': 'Registered · in use',
+    '已注册': 'Registered',
+    '失败：{0}': 'Failed: {0}',
+    '正在检测本地运行时...': 'Detecting local runtimes...',
+    '未检测到': 'Not detected',
+    '地址': 'Address',
+    '全部注册（{0}）': 'Register all ({0})',
+    '尚未安装模型': 'No models installed',
+    '已注册但运行时未报告：{0}': 'Registered but not reported by the runtime: {0}',
+    '拉取模型，如 llama3.2 或 qwen2.5:7b': 'Model to pull, e.g. llama3.2 or qwen2.5:7b',
+    '拉取': 'Pull',
+    '注册失败': 'Registration failed',
+    '注册成功': 'Registered',
+    '[local] 已注册 {0}': '[local] Registered {0}',
+    '取消注册 {0}？': 'Unregister {0}?',
+    '已取消注册': 'Unregistered',
+    '从 Ollama 删除 {0}？模型文件会被移除。': 'Delete {0} from Ollama? The model files will be removed.',
+    '拉取失败': 'Pull failed',
+    '拉取完成': 'Pull finished',
+    '{0} 地址（留空表示自动检测）': '{0} address (leave empty to auto-detect)',
+    // ────── v1.2 secret vault ──────
+    '保险库口令': 'Vault passphrase',
+    '面板重启后需管理员输入口令解锁密钥保险库': 'After a panel restart an admin enters this to unlock the secret vault',
+    '迁移包密码（至少 8 位）': 'Migration password (8+ characters)',
+    '迁移包内的密钥用此密码重新加密，导入时需输入同一密码': 'Secrets in the migration package are re-encrypted with this password; enter the same password to import it',
+    '🔐 密钥保险库': '🔐 Secret vault',
+    '解锁': 'Unlock',
+    '主密钥来源': 'Master key source',
+    '随机密钥（保存在容器内）': 'Random key (stored in the container)',
+    '由管理员口令派生（不落盘）': 'Derived from an admin passphrase (never stored)',
+    '新口令': 'New passphrase',
+    '确认口令': 'Confirm passphrase',
+    '轮换主密钥': 'Rotate master key',
+    '轮换会生成新主密钥，并把面板保存的全部密钥一次性重新加密；中途失败不会留下半新半旧的数据。口令模式下主密钥只保存在内存中，面板重启后需在登录页或此处输入口令解锁（也可通过环境变量 OPENCLAW_VAULT_PASSPHRASE 自动解锁），口令遗失将无法恢复已加密的密钥。': 'Rotation creates a new master key and re-encrypts every secret the panel stores in one step; a failure midway never leaves a mix of old and new data. In passphrase mode the master key only lives in memory: after a panel restart, unlock it on the sign-in page or here (or set OPENCLAW_VAULT_PASSPHRASE to unlock automatically). A lost passphrase makes the encrypted secrets unrecoverable.',
+    '需要迁移包密码': 'Migration password required',
+    '请先输入至少 8 位的迁移包密码，包内密钥将用它重新加密': 'Enter a migration password of at least 8 characters first; the secrets in the package are re-encrypted with it',
+    '• 各类密钥（用迁移包密码解开后以本机保险库重新加密）\n': '• Secrets (opened with the migration password and re-encrypted with this panel\'s vault)\n',
+    '🔒 保险库已锁定：输入口令后才能读取或保存密钥': '🔒 Vault locked: enter the passphrase before secrets can be read or saved',
+    '主密钥 {0} · {1} · 上次轮换 {2}': 'Master key {0} · {1} · last rotated {2}',
+    '仍有旧版 .enc_key，轮换一次后删除': 'a legacy .enc_key is still present; one rotation removes it',
+    '已加密 {0}': '{0} encrypted',
+    '旧格式 {0}': '{0} in the old format',
+    '无法解密 {0}': '{0} cannot be decrypted',
+    '明文 {0}（Gateway 读取）': '{0} plaintext (read by the gateway)',
+    '⚠️ 面板未随 Gateway 解密加载器（openclaw-vault-loader）启动，以下文件由 Gateway 直接读取，只能以明文保存（仅在迁移包中加密）。重启容器后即可加密。': '⚠️ The panel was not started with the gateway vault loader (openclaw-vault-loader), so the files below, which the gateway reads directly, can only be kept as plaintext (they are only encrypted inside migration packages). Restart the container to encrypt them.',
+    '明文 {0}': '{0} plaintext',
+    '{0} 个文件': '{0} file(s)',
+    '暂无密钥': 'No secrets',
+    '请输入保险库口令': 'Enter the vault passphrase',
+    '解锁失败': 'Unlock failed',
+    '保险库已解锁': 'Vault unlocked',
+    '口令太短': 'Passphrase too short',
+    '保险库口令至少 12 位': 'The vault passphrase needs at least 12 characters',
+    '两次输入的口令不一致': 'The passphrases do not match',
+    '主密钥将由该口令派生，且不再保存在容器内。\n面板每次重启后都需要输入口令解锁，口令遗失将无法恢复已加密的密钥。\n\n确定继续？': 'The master key will be derived from this passphrase and no longer stored in the container.\nEvery panel restart needs the passphrase to unlock, and a lost passphrase makes the encrypted secrets unrecoverable.\n\nContinue?',
+    '将生成新的主密钥并重新加密全部密钥，确定继续？': 'A new master key will be generated and every secret re-encrypted. Continue?',
+    '轮换失败': 'Rotation failed',
+    '主密钥已轮换': 'Master key rotated',
+    '新密钥 {0}，重新加密 {1} 个密钥': 'New key {0}, {1} secret(s) re-encrypted',
   };
 
   // Reverse mapping: English server messages → Chinese
@@ -1762,6 +2199,130 @@
     'Invalid name': '无效的名称',
     'Skill source required': '请提供 GitHub URL 或本地目录路径',
     'Input too long': '输入过长',
+    'Permission denied': '权限不足',
+    'Invalid username': '用户名无效（2-32 位字母、数字、点、下划线或短横线）',
+    'Invalid role': '角色无效',
+    'User already exists': '用户已存在',
+    'User not found': '用户不存在',
+    'At least one active admin is required': '至少需要保留一个启用的管理员',
+    'Cannot demote or disable your own account': '不能降级或停用自己的账号',
+    'Cannot delete your own account': '不能删除自己的账号',
+    'Invalid verification code': '验证码错误',
+    'Verification expired, please log in again': '验证已过期，请重新登录',
+    'Two-factor auth already enabled': '两步验证已启用',
+    'Two-factor auth is not enabled': '两步验证未启用',
+    'Start two-factor setup first': '请先开始两步验证设置',
+    'Session not found': '会话不存在',
+    'API token scope not allowed': 'API 令牌的权限范围不允许访问此接口',
+    'Token name must be 1-64 characters': '令牌名称长度需为 1-64 个字符',
+    'Select at least one scope': '请至少选择一个权限范围',
+    'Expiry must be 0-365 days (0 = never)': '有效期需为 0-365 天（0 表示永不过期）',
+    'Too many API tokens, revoke some first': 'API 令牌过多，请先吊销部分令牌',
+    'API token not found': 'API 令牌不存在',
+    'OIDC login is not configured': '未配置 OIDC 登录',
+    'OIDC provider is unavailable': 'OIDC 身份提供方不可用',
+    'SSO login expired, please try again': 'SSO 登录已过期，请重试',
+    'SSO login failed': 'SSO 登录失败',
+    'SSO account has no usable username': 'SSO 账号没有可用的用户名',
+    'No panel account for this SSO user': '该 SSO 用户没有对应的面板账号',
+    'No panel role is mapped for this SSO user': '该 SSO 用户没有映射到任何面板角色',
+    'Account disabled': '账号已停用',
+    'Issuer must be an http(s) URL': 'Issuer 必须是 http(s) 地址',
+    'Redirect URI must be an http(s) URL': '回调地址必须是 http(s) 地址',
+    'Issuer and client ID are required to enable OIDC': '启用 OIDC 需要填写 Issuer 和 Client ID',
+    'Invalid header name': '请求头名称无效',
+    'A proxy secret is required to enable header login': '启用代理头登录需要设置代理共享密钥',
+    'Proxy secret must be at least 16 characters': '代理共享密钥至少需要 16 位',
+    'Issuer is required': '请填写 Issuer',
+    'A panel account with this name exists and is not linked to this SSO identity': '同名面板账号已存在且未绑定到该 SSO 身份，请管理员先在用户列表中允许 SSO 绑定',
+    'Invalid SSO provider': '无效的 SSO 来源',
+    'User is already bound to an SSO identity': '该用户已绑定 SSO 身份',
+    'Access from your network is not allowed': '不允许从你所在的网络访问',
+    'Webhook must be an http(s) URL': 'Webhook 必须是 http(s) 地址',
+    'No alert webhook configured': '尚未配置告警 Webhook',
+    'Invalid lockout type': '无效的锁定类型',
+    'Lockout not found': '未找到该锁定记录',
+    'Invalid app id': '无效的应用 ID',
+    'Cannot start: no run command, port or workspace': '无法启动：应用未声明启动命令或端口，或工作目录不存在',
+    'App has no run command or port': '应用未声明启动命令或端口',
+    'App workspace is missing': '应用工作目录不存在',
+    'run.cwd must stay inside the app workspace': 'run.cwd 必须位于应用工作目录内',
+    'No git repo in workspace': '工作目录中没有 git 仓库',
+    'Port range must be two integers within 1024-65535, min <= max': '端口范围必须是 1024-65535 之间的两个整数，且起始不大于结束',
+    'Port range may span at most 10000 ports': '端口范围最多包含 10000 个端口',
+    'App not found in catalog': '目录中没有该应用',
+    'At least one catalog source is required': '至少需要一个目录源',
+    'Only an admin can install apps from outside the catalog': '只有管理员可以安装目录之外的应用',
+    'Invalid app key': '应用密钥无效',
+    'quota must be an object': 'quota 必须是对象',
+    'App not installed': '应用未安装',
+    'App key does not belong to this app': '该应用密钥不属于此应用',
+    'Invalid data key': '无效的数据键名',
+    'Key not found': '数据不存在',
+    'Invalid request body': '请求内容无效',
+    'Task not found': '任务不存在',
+    'An install or update of this app is still running': '该应用的安装或更新仍在进行中',
+    'repo must be an https or ssh URL': '仓库地址必须是 https 或 ssh URL',
+    'Token auth needs an https repo': '访问令牌仅适用于 https 仓库',
+    'Deploy keys need an ssh repo': '部署密钥仅适用于 ssh 仓库',
+    'Missing access token': '缺少访问令牌',
+    'Invalid access token': '访问令牌无效',
+    'Missing deploy key': '缺少部署密钥',
+    'Deploy key must be a PEM/OpenSSH private key': '部署密钥必须是 PEM/OpenSSH 私钥',
+    'Unknown credential type': '未知的凭据类型',
+    'Invalid git ref': '无效的 git 引用',
+    'Only an admin can deploy an unverified ref': '只有管理员可以部署未经校验的版本',
+    'Only an admin can set repository credentials': '只有管理员可以设置仓库凭据',
+    'prices must be an object': '价格表格式错误',
+    'currency must be a 3-letter code such as USD or CNY': '币种须为 3 位字母代码，例如 USD、CNY',
+    'usdRate must be a positive number': '美元汇率须为正数',
+    'warnAt is a percentage between 0 and 100': '预警阈值须为 0 到 100 之间的百分比',
+    'Model is not configured': '该模型未配置',
+    'A health probe is already running': '健康探测正在进行中',
+    'enabled must be true or false': 'enabled 必须为 true 或 false',
+    'intervalMinutes must be an integer between 5 and 1440': '探测间隔须为 5 到 1440 之间的整数（分钟）',
+    'slowMs must be an integer between 100 and 120000': '慢响应阈值须为 100 到 120000 之间的整数（毫秒）',
+    'Model routing saved': '模型路由已保存',
+    'Model routing saved, Gateway reload requested': '模型路由已保存，已请求重载 Gateway',
+    'strategy must be round-robin or least-limited': 'strategy 必须是 round-robin 或 least-limited',
+    'expiresAt must be a date in YYYY-MM-DD format': '过期日期格式必须为 YYYY-MM-DD',
+    'Key name must be at most 40 characters': 'Key 名称最多 40 个字符',
+    'API Key accepted, but the provider is rate limiting it right now': 'API Key 有效，但服务商当前正在限流',
+    'API Key invalid': 'API Key 无效',
+    'API Key has no quota or balance left': 'API Key 额度或余额已用尽',
+    'The provider does not serve requests from this server\'s region': '服务商不支持来自本服务器所在地区的请求',
+    'API Key is not allowed to use this API': 'API Key 无权使用该接口',
+    'Provider did not respond in time': '服务商响应超时',
+    'Provider endpoint is unreachable': '无法连接服务商端点',
+    'TLS handshake with the provider failed': '与服务商的 TLS 握手失败',
+    'Provider returned a server error': '服务商返回服务器错误',
+    'Key could not be verified: the test model was not found': '无法验证 Key：未找到测试模型',
+    'Key could not be verified: the endpoint has no model list': '无法验证 Key：该端点没有模型列表接口',
+    'Key could not be verified: the provider rejected the test request': '无法验证 Key：服务商拒绝了测试请求',
+    'Key could not be verified: unexpected response from the provider': '无法验证 Key：服务商返回了意外的响应',
+    'Key could not be verified: no model is known for this provider': '无法验证 Key：该服务商没有已知模型可供测试',
+    'Unknown local runtime': '未知的本地运行时',
+    'Select at least one model': '请至少选择一个模型',
+    'Invalid model name': '模型名称无效',
+    'Ollama is not reachable': '无法连接 Ollama',
+    'baseUrl must be an http(s) URL': '地址必须是 http(s) URL',
+    'Secret vault is locked': '密钥保险库已锁定',
+    'Secret vault is locked: enter the vault passphrase': '密钥保险库已锁定：请输入保险库口令',
+    'Incorrect vault passphrase': '保险库口令错误',
+    'Missing vault passphrase': '缺少保险库口令',
+    'Invalid vault mode': '无效的保险库模式',
+    'Vault passphrase must be at least 12 characters': '保险库口令至少 12 位',
+    'Migration password must be at least 8 characters': '迁移包密码至少 8 位',
+    'This migration package is password protected': '该迁移包已加密，请输入迁移包密码',
+    'Incorrect migration password': '迁移包密码错误',
+    'Panel sign-in (2FA secrets, SSO client secret)': '面板登录（两步验证密钥、SSO 客户端密钥）',
+    'App Center (env secrets, app keys, repo tokens and deploy keys)': '应用中心（环境变量密钥、应用 Key、仓库令牌与部署密钥）',
+    'Speech-to-text API key': '语音转文字 API Key',
+    'AI auth profiles (auth-profiles.json)': 'AI 认证配置（auth-profiles.json）',
+    'Model provider keys (models.json)': '模型服务商 Key（models.json）',
+    'Channel secrets and gateway token (openclaw.json)': '渠道密钥与 Gateway 令牌（openclaw.json）',
+    'Only an admin can unlock the secret vault': '只有管理员可以解锁密钥保险库',
+    'Secret vault is locked: ask an admin to unlock it': '密钥保险库已锁定：请联系管理员解锁',
   };
 
   // --------------- translation function ---------------
@@ -21,12 +21,45 @@ function setHint(msg, type = '', html = false) {
 }
 
 let setupMode = false;
+let twoFactorChallenge = '';
+
+function setTwoFactorMode(challenge) {
+  twoFactorChallenge = challenge || '';
+  const on = !!twoFactorChallenge;
+  $('login-credentials-field').style.display = on ? 'none' : '';
+  $('login-password-field').style.display = on ? 'none' : '';
+  $('login-otp-field').style.display = on ? '' : 'none';
+  $('login-submit').textContent = _t(on ? '验证' : '登录');
+  $('login-otp').value = '';
+  if (on) {
+    setHint('请输入身份验证器中的 6 位验证码，或一个恢复码');
+    $('login-otp').focus();
+  } else {
+    $('login-password').value = '';
+    $('login-password').focus();
+  }
+}
+
+async function submitTwoFactor() {
+  const code = $('login-otp').value.trim();
+  if (!code) return setHint('请输入验证码', 'error');
+  const r = await api('/api/login/2fa', { method: 'POST', body: { challenge: twoFactorChallenge, code } });
+  if (r.ok && r.data && r.data.success) {
+    window.location.href = '/';
+    return;
+  }
+  if (r.data?.expired || r.status === 429) {
+    setTwoFactorMode('');
+  }
+  setHint(r.data?.error || '验证失败', 'error');
+}
 
 function setSetupMode(on) {
   setupMode = !!on;
   $('setup-confirm-field').style.display = setupMode ? '' : 'none';
-  $('login-username').value = 'admin';
-  $('login-username').disabled = true;
+  // Setup always creates the built-in admin; normal login accepts any panel user
+  if (setupMode) $('login-username').value = 'admin';
+  $('login-username').disabled = setupMode;
   $('login-submit').textContent = _t(setupMode ? '设置密码' : '登录');
   $('login-password').setAttribute('autocomplete', setupMode ? 'new-password' : 'current-password');
   setHint(setupMode ? '首次使用：请设置管理密码（至少8位，含大小写字母、数字和特殊字符）' : '', setupMode ? '' : '');
@@ -38,10 +71,28 @@ async function refreshBootstrapStatus() {
     if (r.ok && r.data && typeof r.data.setupRequired === 'boolean') {
       setSetupMode(r.data.setupRequired);
     }
+    $('login-vault-field').style.display = r.ok && r.data?.vaultLocked && !r.data.setupRequired ? '' : 'none';
+    const showSso = !!(r.ok && r.data?.sso?.oidc && !r.data.setupRequired);
+    $('login-sso').style.display = showSso ? '' : 'none';
+    if (showSso && r.data.sso.label) $('login-sso-link').textContent = r.data.sso.label;
   } catch {}
 }
 
 async function doSubmit() {
+  if (twoFactorChallenge) {
+    const btn = $('login-submit');
+    btn.disabled = true;
+    try {
+      await submitTwoFactor();
+    } catch (e) {
+      setHint('网络错误：' + e.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = _t(twoFactorChallenge ? '验证' : '登录');
+    }
+    return;
+  }
+
   const username = $('login-username').value.trim() || 'admin';
   const password = $('login-password').value;
 
@@ -77,11 +128,20 @@ async function doSubmit() {
       return;
     }
 
-    const r = await api('/api/login', { method: 'POST', body: { username, password } });
+    const vaultPassphrase = $('login-vault-passphrase').value;
+    const r = await api('/api/login', { method: 'POST', body: { username, password, vaultPassphrase: vaultPassphrase || undefined } });
     if (r.ok && r.data && r.data.success) {
       window.location.href = '/';
       return;
     }
+    if (r.data?.vaultLocked) {
+      $('login-vault-field').style.display = '';
+      $('login-vault-passphrase').focus();
+    }
+    if (r.ok && r.data?.twoFactorRequired) {
+      setTwoFactorMode(r.data.challenge);
+      return;
+    }
     if (r.status === 409 && r.data?.setupRequired) {
       setSetupMode(true);
       setHint(r.data?.error || '需要先初始化', 'error');
@@ -99,14 +159,24 @@ async function doSubmit() {
     setHint('网络错误：' + e.message, 'error');
   } finally {
     btn.disabled = false;
-    btn.textContent = _t(setupMode ? '设置密码' : '登录');
+    btn.textContent = _t(setupMode ? '设置密码' : (twoFactorChallenge ? '验证' : '登录'));
   }
 }
 
 $('login-submit').addEventListener('click', doSubmit);
 $('login-password').addEventListener('keydown', (e) => { if (e.key === 'Enter') doSubmit(); });
 $('login-password2')?.addEventListener('keydown', (e) => { if (e.key === 'Enter') doSubmit(); });
+$('login-otp').addEventListener('keydown', (e) => { if (e.key === 'Enter') doSubmit(); });
+$('login-vault-passphrase').addEventListener('keydown', (e) => { if (e.key === 'Enter') doSubmit(); });
 
 $('login-username').value = 'admin';
+$('login-username').addEventListener('keydown', (e) => { if (e.key === 'Enter') $('login-password').focus(); });
 $('login-password').focus();
 refreshBootstrapStatus();
+
+// OIDC callback failures come back as /login.html?sso_error=...
+const ssoError = new URLSearchParams(location.search).get('sso_error');
+if (ssoError) {
+  setHint(typeof window.serverMsg === 'function' ? window.serverMsg(ssoError) : ssoError, 'error');
+  history.replaceState(null, '', '/login.html');
+}